@@ -0,0 +1,161 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const uuid = require('uuid/v1')
+const EventEmitter = require('events').EventEmitter
+const { Yggdrasil, Microsoft } = require('./authenticator')
+
+// Keeps several accounts in root/accounts.json, optionally encrypted with a key, and makes sure the
+// selected one has working tokens before it's used to launch.
+class Accounts extends EventEmitter {
+  constructor (root, options = {}) {
+    super()
+    this.file = options.file || path.join(path.resolve(root), 'accounts.json')
+    this.key = options.key
+    this.clientId = options.clientId
+    this.load()
+  }
+
+  load () {
+    this.store = { clientToken: uuid(), selected: null, accounts: {} }
+    if (!fs.existsSync(this.file)) return
+
+    const file = JSON.parse(fs.readFileSync(this.file, { encoding: 'utf8' }))
+    this.store = file.encrypted ? JSON.parse(this.decrypt(file)) : file
+  }
+
+  save () {
+    const data = JSON.stringify(this.store, null, 4)
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.writeFileSync(this.file, this.key ? JSON.stringify(this.encrypt(data), null, 4) : data, { mode: 0o600 })
+  }
+
+  encrypt (data) {
+    const salt = crypto.randomBytes(16)
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(this.key, salt, 32), iv)
+    const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()])
+    return {
+      encrypted: true,
+      salt: salt.toString('hex'),
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: encrypted.toString('hex')
+    }
+  }
+
+  decrypt (file) {
+    if (!this.key) throw new Error(`${this.file} is encrypted, a key is needed to read it`)
+    const decipher = crypto.createDecipheriv('aes-256-gcm',
+      crypto.scryptSync(this.key, Buffer.from(file.salt, 'hex'), 32), Buffer.from(file.iv, 'hex'))
+    decipher.setAuthTag(Buffer.from(file.tag, 'hex'))
+    return Buffer.concat([decipher.update(Buffer.from(file.data, 'hex')), decipher.final()]).toString('utf8')
+  }
+
+  // One client token for the whole store, Yggdrasil tokens can only be refreshed with the client token they were made with.
+  get clientToken () {
+    return this.store.clientToken
+  }
+
+  list () {
+    return Object.keys(this.store.accounts).map(id => this.store.accounts[id])
+  }
+
+  get (id = this.store.selected) {
+    return this.store.accounts[id] || null
+  }
+
+  // provider.type is yggdrasil, msa or offline. server is the Yggdrasil url the account belongs to,
+  // clientId the Azure application for Microsoft accounts.
+  add (profile, provider = {}) {
+    const account = {
+      ...profile,
+      type: provider.type || (profile.user_type === 'msa' ? 'msa' : 'yggdrasil'),
+      server: provider.server,
+      clientId: provider.clientId
+    }
+    this.store.accounts[account.uuid] = account
+    if (!this.store.selected) this.store.selected = account.uuid
+    this.save()
+    return account
+  }
+
+  remove (id) {
+    delete this.store.accounts[id]
+    if (this.store.selected === id) this.store.selected = Object.keys(this.store.accounts)[0] || null
+    this.save()
+  }
+
+  select (id) {
+    if (!this.store.accounts[id]) throw new Error(`No account with the id ${id}`)
+    this.store.selected = id
+    this.save()
+  }
+
+  async login (username, password, server) {
+    const yggdrasil = new Yggdrasil(server)
+    const profile = await yggdrasil.getAuth(username, password, this.clientToken)
+    return this.add(profile, { type: 'yggdrasil', server: yggdrasil.url })
+  }
+
+  async loginOffline (username) {
+    const profile = await new Yggdrasil().getAuth(username)
+    return this.add(profile, { type: 'offline' })
+  }
+
+  async loginMicrosoft (onCode, clientId = this.clientId) {
+    const profile = await new Microsoft(clientId).getAuth(onCode)
+    return this.add(profile, { type: 'msa', clientId })
+  }
+
+  // Resolves the account with working tokens, refreshing them when needed. Emits login-required and rejects
+  // if the tokens can't be refreshed anymore.
+  async validate (id = this.store.selected) {
+    const account = this.get(id)
+    if (!account) throw new Error('No account selected')
+
+    try {
+      const profile = await this.refreshIfNeeded(account)
+      if (!profile) return account
+
+      const refreshed = this.add(profile, account)
+      this.emit('refresh', refreshed)
+      return refreshed
+    } catch (e) {
+      this.emit('login-required', { account, error: e })
+      throw new Error(`${account.name} has to log in again: ${e.message || JSON.stringify(e)}`)
+    }
+  }
+
+  // Resolves new tokens, or null if the current ones are still good.
+  async refreshIfNeeded (account) {
+    if (account.type === 'offline') return null
+    if (account.type === 'msa') {
+      if (account.meta && account.meta.expires_at > Date.now() + 60000) return null
+      if (!account.meta || !account.meta.refresh_token) throw new Error('No refresh token stored')
+      try {
+        return await new Microsoft(account.clientId || this.clientId).refreshAuth(account.meta.refresh_token)
+      } catch (e) {
+        // Network errors have a code, the stored tokens are used as they are then like Yggdrasil's.
+        if (e.code) return null
+        throw e
+      }
+    }
+
+    const yggdrasil = new Yggdrasil(account.server)
+    try {
+      await yggdrasil.validate(account.access_token, account.client_token)
+      return null
+    } catch (e) {
+      // Without a connection there's nothing to check against, the stored tokens are used as they are.
+      if (e instanceof Error) return null
+    }
+    return yggdrasil.refreshAuth(account.access_token, account.client_token, account.selected_profile)
+  }
+
+  getAuthorization () {
+    return this.validate()
+  }
+}
+
+module.exports = Accounts
@@ -1,143 +1,359 @@
 const request = require('request')
 const uuid = require('uuid/v1')
-let api_url = 'https://authserver.mojang.com'
+const crypto = require('crypto')
 
-module.exports.getAuth = function (username, password) {
-  return new Promise((resolve, reject) => {
-    if (!password) {
-      const user = {
-        access_token: uuid(),
-        client_token: uuid(),
-        uuid: uuid(),
-        name: username,
-        user_properties: JSON.stringify({})
+// Same as Java's UUID.nameUUIDFromBytes('OfflinePlayer:' + name), which is what servers in offline mode give players.
+function getOfflineUUID (username) {
+  const hash = crypto.createHash('md5').update(`OfflinePlayer:${username}`, 'utf8').digest()
+  hash[6] = (hash[6] & 0x0f) | 0x30
+  hash[8] = (hash[8] & 0x3f) | 0x80
+  const hex = hash.toString('hex')
+  return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`
+}
+
+// Yggdrasil is Mojang's auth API, custom servers implementing it (like the ones authlib-injector uses) work the same way.
+class Yggdrasil {
+  constructor (url = 'https://authserver.mojang.com', userType = 'mojang') {
+    this.url = url
+    this.userType = userType
+  }
+
+  getAuth (username, password, clientToken = uuid()) {
+    return new Promise((resolve, reject) => {
+      if (!password) {
+        if (!/^[A-Za-z0-9_]{3,16}$/.test(username)) {
+          return reject(new Error(`Invalid username ${username}, it has to be 3 to 16 letters, numbers or underscores`))
+        }
+
+        const user = {
+          access_token: uuid(),
+          client_token: clientToken,
+          uuid: getOfflineUUID(username),
+          name: username,
+          user_properties: JSON.stringify({}),
+          user_type: 'legacy'
+        }
+
+        return resolve(user)
       }
 
-      return resolve(user)
-    }
+      const requestObject = {
+        url: this.url + '/authenticate',
+        json: {
+          agent: {
+            name: 'Minecraft',
+            version: 1
+          },
+          username: username,
+          password: password,
+          clientToken: clientToken,
+          requestUser: true
+        }
+      }
 
-    const requestObject = {
-      url: api_url + '/authenticate',
-      json: {
-        agent: {
-          name: 'Minecraft',
-          version: 1
-        },
-        username: username,
-        password: password,
-        clientToken: uuid(),
-        requestUser: true
+      request.post(requestObject, (error, response, body) => {
+        if (error) return reject(error)
+        if (!body || !body.selectedProfile) {
+          return reject(new Error('Validation error: ' + response.statusMessage))
+        }
+
+        const userProfile = {
+          access_token: body.accessToken,
+          client_token: body.clientToken,
+          uuid: body.selectedProfile.id,
+          name: body.selectedProfile.name,
+          selected_profile: body.selectedProfile,
+          user_properties: JSON.stringify(body.user.properties || {}),
+          user_type: this.userType
+        }
+
+        resolve(userProfile)
+      })
+    })
+  }
+
+  validate (access_token, client_token) {
+    return new Promise((resolve, reject) => {
+      const requestObject = {
+        url: this.url + '/validate',
+        json: {
+          accessToken: access_token,
+          clientToken: client_token
+        }
       }
-    }
 
-    request.post(requestObject, function (error, response, body) {
-      if (error) return reject(error)
-      if (!body || !body.selectedProfile) {
-        return reject(new Error('Validation error: ' + response.statusMessage))
+      request.post(requestObject, (error, response, body) => {
+        if (error) return reject(error)
+
+        if (!body) resolve(true)
+        else reject(body)
+      })
+    })
+  }
+
+  refreshAuth (accessToken, clientToken, selectedProfile) {
+    return new Promise((resolve, reject) => {
+      const requestObject = {
+        url: this.url + '/refresh',
+        json: {
+          accessToken: accessToken,
+          clientToken: clientToken,
+          selectedProfile: selectedProfile,
+          requestUser: true
+        }
       }
 
-      const userProfile = {
-        access_token: body.accessToken,
-        client_token: body.clientToken,
-        uuid: body.selectedProfile.id,
-        name: body.selectedProfile.name,
-        selected_profile: body.selectedProfile,
-        user_properties: JSON.stringify(body.user.properties || {})
+      request.post(requestObject, (error, response, body) => {
+        if (error) return reject(error)
+        if (!body || !body.selectedProfile) {
+          return reject(new Error('Validation error: ' + response.statusMessage))
+        }
+
+        const userProfile = {
+          access_token: body.accessToken,
+          client_token: body.clientToken || clientToken,
+          uuid: body.selectedProfile.id,
+          name: body.selectedProfile.name,
+          selected_profile: body.selectedProfile,
+          user_properties: JSON.stringify(body.user.properties || {}),
+          user_type: this.userType
+        }
+
+        resolve(userProfile)
+      })
+    })
+  }
+
+  invalidate (accessToken, clientToken) {
+    return new Promise((resolve, reject) => {
+      const requestObject = {
+        url: this.url + '/invalidate',
+        json: {
+          accessToken: accessToken,
+          clientToken: clientToken
+        }
       }
 
-      resolve(userProfile)
+      request.post(requestObject, (error, response, body) => {
+        if (error) return reject(error)
+
+        if (!body) resolve(true)
+        else reject(body)
+      })
     })
-  })
-}
+  }
 
-module.exports.validate = function (access_token, client_token) {
-  return new Promise((resolve, reject) => {
-    const requestObject = {
-      url: api_url + '/validate',
-      json: {
-        accessToken: access_token,
-        clientToken: client_token
+  signOut (username, password) {
+    return new Promise((resolve, reject) => {
+      const requestObject = {
+        url: this.url + '/signout',
+        json: {
+          username: username,
+          password: password
+        }
       }
-    }
 
-    request.post(requestObject, async function (error, response, body) {
-      if (error) return reject(error)
+      request.post(requestObject, (error, response, body) => {
+        if (error) return reject(error)
 
-      if (!body) resolve(true)
-      else reject(body)
+        if (!body) resolve(true)
+        else reject(body)
+      })
     })
-  })
+  }
 }
 
-module.exports.refreshAuth = function (accessToken, clientToken, selectedProfile) {
+// Resolves the parsed body, rejects with the body's error description if the server didn't answer with a 2xx.
+function microsoftRequest (requestObject) {
   return new Promise((resolve, reject) => {
-    const requestObject = {
-      url: api_url + '/refresh',
-      json: {
-        accessToken: accessToken,
-        clientToken: clientToken,
-        selectedProfile: selectedProfile,
-        requestUser: true
+    request({ json: true, ...requestObject }, function (error, response, body) {
+      if (error) return reject(error)
+      if (response.statusCode < 200 || response.statusCode > 299) {
+        const description = body && (body.error_description || body.errorMessage || body.error || body.XErr)
+        const err = new Error(`${requestObject.url} responded with ${response.statusCode}${description ? ': ' + description : ''}`)
+        err.statusCode = response.statusCode
+        err.body = body
+        return reject(err)
       }
+      resolve(body)
+    })
+  })
+}
+
+function xstsError (error) {
+  const reasons = {
+    2148916233: 'This Microsoft account has no Xbox account, sign in at xbox.com first',
+    2148916235: 'Xbox Live is not available in this account\'s country',
+    2148916238: 'This account belongs to a child and has to be added to a family by an adult'
+  }
+  return error.body && reasons[error.body.XErr] ? new Error(reasons[error.body.XErr]) : error
+}
+
+class Microsoft {
+  constructor (clientId, urls) {
+    this.clientId = clientId
+    this.urls = {
+      oauth: 'https://login.microsoftonline.com/consumers/oauth2/v2.0',
+      xbox: 'https://user.auth.xboxlive.com',
+      xsts: 'https://xsts.auth.xboxlive.com',
+      minecraft: 'https://api.minecraftservices.com',
+      ...urls
     }
+  }
 
-    request.post(requestObject, function (error, response, body) {
-      if (error) return reject(error)
-      if (!body || !body.selectedProfile) {
-        return reject(new Error('Validation error: ' + response.statusMessage))
+  // Xbox Live -> XSTS -> Minecraft, then checks the account owns the game and has a profile.
+  async login (token) {
+    const xbox = await microsoftRequest({
+      method: 'POST',
+      url: this.urls.xbox + '/user/authenticate',
+      json: {
+        Properties: {
+          AuthMethod: 'RPS',
+          SiteName: 'user.auth.xboxlive.com',
+          RpsTicket: 'd=' + token.access_token
+        },
+        RelyingParty: 'http://auth.xboxlive.com',
+        TokenType: 'JWT'
       }
+    })
 
-      const userProfile = {
-        access_token: body.accessToken,
-        client_token: uuid(),
-        uuid: body.selectedProfile.id,
-        name: body.selectedProfile.name,
-        user_properties: JSON.stringify(body.user.properties || {})
+    const xsts = await microsoftRequest({
+      method: 'POST',
+      url: this.urls.xsts + '/xsts/authorize',
+      json: {
+        Properties: {
+          SandboxId: 'RETAIL',
+          UserTokens: [xbox.Token]
+        },
+        RelyingParty: 'rp://api.minecraftservices.com/',
+        TokenType: 'JWT'
       }
+    }).catch(error => { throw xstsError(error) })
+    const userHash = xsts.DisplayClaims.xui[0].uhs
 
-      resolve(userProfile)
+    const minecraft = await microsoftRequest({
+      method: 'POST',
+      url: this.urls.minecraft + '/authentication/login_with_xbox',
+      json: { identityToken: `XBL3.0 x=${userHash};${xsts.Token}` }
     })
-  })
-}
+    const auth = { bearer: minecraft.access_token }
 
-module.exports.invalidate = function (accessToken, clientToken) {
-  return new Promise((resolve, reject) => {
-    const requestObject = {
-      url: api_url + '/invalidate',
-      json: {
-        accessToken: accessToken,
-        clientToken: clientToken
+    const entitlements = await microsoftRequest({ url: this.urls.minecraft + '/entitlements/mcstore', auth })
+    if (!entitlements.items || !entitlements.items.length) throw new Error('This Microsoft account does not own Minecraft')
+
+    const profile = await microsoftRequest({ url: this.urls.minecraft + '/minecraft/profile', auth })
+      .catch(error => {
+        throw error.statusCode === 404 ? new Error('This Microsoft account has no Minecraft profile yet') : error
+      })
+
+    return {
+      access_token: minecraft.access_token,
+      client_token: null,
+      uuid: profile.id,
+      name: profile.name,
+      user_properties: JSON.stringify({}),
+      user_type: 'msa',
+      xuid: xsts.DisplayClaims.xui[0].xid,
+      meta: {
+        refresh_token: token.refresh_token,
+        expires_at: Date.now() + minecraft.expires_in * 1000
       }
     }
+  }
 
-    request.post(requestObject, function (error, response, body) {
-      if (error) return reject(error)
-
-      if (!body) resolve(true)
-      else reject(body)
+  getDeviceCode () {
+    return microsoftRequest({
+      method: 'POST',
+      url: this.urls.oauth + '/devicecode',
+      form: {
+        client_id: this.clientId,
+        scope: 'XboxLive.signin offline_access'
+      }
     })
-  })
-}
+  }
 
-module.exports.signOut = function (username, password) {
-  return new Promise((resolve, reject) => {
-    const requestObject = {
-      url: api_url + '/signout',
-      json: {
-        username: username,
-        password: password
+  // Device code flow, onCode gets the code and verification_uri to show to the user while this waits for them to sign in.
+  async getAuth (onCode) {
+    const code = await this.getDeviceCode()
+    if (onCode) onCode(code)
+
+    const expires = Date.now() + code.expires_in * 1000
+    let interval = code.interval * 1000
+    while (Date.now() < expires) {
+      await new Promise(resolve => setTimeout(resolve, interval))
+      try {
+        const token = await microsoftRequest({
+          method: 'POST',
+          url: this.urls.oauth + '/token',
+          form: {
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+            client_id: this.clientId,
+            device_code: code.device_code
+          }
+        })
+        return this.login(token)
+      } catch (error) {
+        const reason = error.body && error.body.error
+        if (reason === 'slow_down') interval += 5000
+        else if (reason !== 'authorization_pending') throw error
       }
     }
 
-    request.post(requestObject, function (error, response, body) {
-      if (error) return reject(error)
+    throw new Error('The device code expired before the user signed in')
+  }
 
-      if (!body) resolve(true)
-      else reject(body)
+  // Authorization code flow, for launchers that open the Microsoft login page themselves.
+  async getAuthFromCode (code, redirectUri) {
+    const token = await microsoftRequest({
+      method: 'POST',
+      url: this.urls.oauth + '/token',
+      form: {
+        grant_type: 'authorization_code',
+        client_id: this.clientId,
+        code: code,
+        redirect_uri: redirectUri,
+        scope: 'XboxLive.signin offline_access'
+      }
     })
-  })
+    return this.login(token)
+  }
+
+  async refreshAuth (refreshToken) {
+    const token = await microsoftRequest({
+      method: 'POST',
+      url: this.urls.oauth + '/token',
+      form: {
+        grant_type: 'refresh_token',
+        client_id: this.clientId,
+        refresh_token: refreshToken,
+        scope: 'XboxLive.signin offline_access'
+      }
+    })
+    return this.login(token)
+  }
 }
 
+// The module level functions keep working on one shared Mojang and Microsoft setup, like they always did.
+const yggdrasil = new Yggdrasil()
+let microsoft_urls = {}
+
+module.exports.Yggdrasil = Yggdrasil
+module.exports.Microsoft = Microsoft
+
+module.exports.getAuth = (username, password, clientToken) => yggdrasil.getAuth(username, password, clientToken)
+module.exports.validate = (access_token, client_token) => yggdrasil.validate(access_token, client_token)
+module.exports.refreshAuth = (accessToken, clientToken, selectedProfile) => yggdrasil.refreshAuth(accessToken, clientToken, selectedProfile)
+module.exports.invalidate = (accessToken, clientToken) => yggdrasil.invalidate(accessToken, clientToken)
+module.exports.signOut = (username, password) => yggdrasil.signOut(username, password)
+module.exports.getOfflineUUID = getOfflineUUID
 module.exports.changeApiUrl = function (url) {
-  api_url = url
+  yggdrasil.url = url
+}
+
+module.exports.getMicrosoftDeviceCode = (clientId) => new Microsoft(clientId, microsoft_urls).getDeviceCode()
+module.exports.getMicrosoftAuth = (clientId, onCode) => new Microsoft(clientId, microsoft_urls).getAuth(onCode)
+module.exports.getMicrosoftAuthFromCode = (clientId, code, redirectUri) => new Microsoft(clientId, microsoft_urls).getAuthFromCode(code, redirectUri)
+module.exports.refreshMicrosoftAuth = (clientId, refreshToken) => new Microsoft(clientId, microsoft_urls).refreshAuth(refreshToken)
+module.exports.changeMicrosoftUrls = function (urls) {
+  microsoft_urls = { ...microsoft_urls, ...urls }
 }
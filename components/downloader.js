@@ -0,0 +1,242 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const request = require('request')
+const shelljs = require('shelljs')
+
+// Shared by every downloader in the process, so instances installing at the same time never write the same file twice.
+const pending = {}
+
+class Downloader {
+  constructor (client, request, options = {}) {
+    this.client = client
+    this.request = request
+    this.concurrency = options.concurrency || 16
+    this.retries = options.retries === undefined ? 3 : options.retries
+    this.mirrors = options.mirrors
+    this.cache = options.cache ? path.resolve(options.cache) : null
+    this.queue = []
+    this.active = 0
+    this.failed = []
+  }
+
+  // mirrors map url prefixes to the prefix to use instead, the longest matching one wins.
+  static rewrite (url, mirrors) {
+    if (!mirrors || !url) return url
+    const prefix = Object.keys(mirrors).filter(prefix => url.startsWith(prefix)).sort((a, b) => b.length - a.length)[0]
+    return prefix ? mirrors[prefix] + url.substring(prefix.length) : url
+  }
+
+  // Gets JSON from a url rewritten to the mirrors of the launch options, which also say if it's offline and the timeout
+  // downloads use. A body makes it a POST of that body. Anything but a 200 or one of statusCodes rejects. Resolves with
+  // the response, body parsed.
+  static fetchJSON (url, options = {}, { body, headers = {}, statusCodes = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      if (options.offline) return reject(new Error(`Can't get ${url} in offline mode`))
+      url = Downloader.rewrite(url, options.overrides && options.overrides.mirrors)
+      request[body ? 'post' : 'get'](url, { json: body || true, headers, timeout: options.timeout || 10000 }, (error, response) => {
+        if (error) return reject(error)
+        if (response.statusCode !== 200 && !statusCodes.includes(response.statusCode)) {
+          const err = new Error(`Failed to get ${url}, status code ${response.statusCode}`)
+          err.statusCode = response.statusCode
+          return reject(err)
+        }
+        resolve(response)
+      })
+    })
+  }
+
+  // Resolves true once the file is in place and matches the given sha1 and size, false if every attempt failed.
+  download (url, directory, name, options = {}) {
+    url = Downloader.rewrite(url, this.mirrors)
+    const target = path.join(directory, name)
+    // Asset indexes list the same object under several names, so the same file can be asked for twice at once.
+    if (pending[target]) return pending[target]
+
+    pending[target] = new Promise(resolve => {
+      this.queue.push(() => this.run({ url, directory, name, target, ...options }).then(resolve))
+      this.next()
+    }).then(result => {
+      delete pending[target]
+      return result
+    })
+    return pending[target]
+  }
+
+  next () {
+    while (this.active < this.concurrency && this.queue.length) {
+      const task = this.queue.shift()
+      this.active++
+      task().finally(() => {
+        this.active--
+        this.next()
+      })
+    }
+  }
+
+  // Never rejects, whatever goes wrong counts as a failed download so the queue keeps going.
+  async run (item) {
+    try {
+      return await this.transfer(item)
+    } catch (error) {
+      this.client.emit('debug', `[MCLC]: Failed to download ${item.url} to ${item.target} due to\n${error}`)
+      this.failed.push({ url: item.url, path: item.target, type: item.type, reason: error.message })
+      return false
+    }
+  }
+
+  async transfer (item) {
+    shelljs.mkdir('-p', item.directory)
+    item.temp = `${item.target}.part`
+    if (await this.fromCache(item)) return true
+    const attempts = item.retry === false ? 1 : this.retries + 1
+
+    let reason
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt) await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt - 1)))
+      try {
+        await this.fetch(item)
+        await this.verify(item)
+        fs.renameSync(item.temp, item.target)
+        this.toCache(item)
+        this.client.emit('download', item.name)
+        return true
+      } catch (error) {
+        reason = error.message
+        this.client.emit('debug', `[MCLC]: Failed to download ${item.url} to ${item.target} due to\n${error}.` +
+          ` Attempt ${attempt + 1} of ${attempts}`)
+        if (error.statusCode === 404) break
+      }
+    }
+
+    if (fs.existsSync(item.temp)) fs.unlinkSync(item.temp)
+    this.failed.push({ url: item.url, path: item.target, type: item.type, reason })
+    return false
+  }
+
+  // The cache holds files by their sha1 so several roots can share them, files without a sha1 aren't cached.
+  getCachePath (sha1) {
+    return path.join(this.cache, sha1.substring(0, 2), sha1)
+  }
+
+  async fromCache (item) {
+    if (!this.cache || !item.sha1 || !fs.existsSync(this.getCachePath(item.sha1))) return false
+
+    const cached = this.getCachePath(item.sha1)
+    try {
+      this.link(cached, item.temp)
+      await this.verify(item)
+      fs.renameSync(item.temp, item.target)
+    } catch (error) {
+      this.client.emit('debug', `[MCLC]: Cached ${cached} can't be used due to ${error}, downloading it again`)
+      try {
+        if (fs.existsSync(item.temp)) fs.unlinkSync(item.temp)
+        fs.unlinkSync(cached)
+      } catch (e) {
+        this.client.emit('debug', `[MCLC]: Couldn't remove ${cached} from the cache due to ${e}`)
+      }
+      return false
+    }
+    this.client.emit('download', item.name)
+    return true
+  }
+
+  toCache (item) {
+    if (!this.cache || !item.sha1 || fs.existsSync(this.getCachePath(item.sha1))) return
+    try {
+      shelljs.mkdir('-p', path.dirname(this.getCachePath(item.sha1)))
+      this.link(item.target, this.getCachePath(item.sha1))
+    } catch (error) {
+      this.client.emit('debug', `[MCLC]: Couldn't add ${item.target} to the cache due to ${error}`)
+    }
+  }
+
+  // Hard links where the filesystem allows it, the cache is often on another one and gets copies then.
+  link (source, target) {
+    if (fs.existsSync(target)) fs.unlinkSync(target)
+    try {
+      fs.linkSync(source, target)
+    } catch (e) {
+      fs.copyFileSync(source, target)
+    }
+  }
+
+  fetch (item) {
+    return new Promise((resolve, reject) => {
+      // Whatever is left from a previous attempt is kept and resumed with a Range request.
+      const start = fs.existsSync(item.temp) ? fs.statSync(item.temp).size : 0
+      const _request = this.request({ url: item.url, headers: start ? { Range: `bytes=${start}-` } : {} })
+
+      _request.on('error', reject)
+      _request.on('response', (response) => {
+        if (response.statusCode === 416) {
+          fs.unlinkSync(item.temp)
+          _request.abort()
+          return reject(new Error('Partial download could not be resumed'))
+        }
+        if (response.statusCode >= 400) {
+          _request.abort()
+          const error = new Error(`Server responded with ${response.statusCode}`)
+          error.statusCode = response.statusCode
+          return reject(error)
+        }
+
+        const resumed = response.statusCode === 206
+        let receivedBytes = resumed ? start : 0
+        const totalBytes = parseInt(response.headers['content-length']) + receivedBytes
+
+        _request.on('data', (data) => {
+          receivedBytes += data.length
+          this.client.emit('download-status', {
+            name: item.name,
+            type: item.type,
+            current: receivedBytes,
+            total: totalBytes
+          })
+        })
+
+        const file = fs.createWriteStream(item.temp, { flags: resumed ? 'a' : 'w' })
+        file.on('error', reject)
+        file.once('finish', () => receivedBytes < totalBytes
+          ? reject(new Error(`Connection closed after ${receivedBytes} of ${totalBytes} bytes`))
+          : resolve())
+        _request.on('error', () => file.end())
+        _request.pipe(file)
+      })
+    })
+  }
+
+  async verify (item) {
+    const size = fs.statSync(item.temp).size
+    if (item.size && size !== item.size) {
+      if (size > item.size) fs.unlinkSync(item.temp)
+      throw new Error(`Expected ${item.size} bytes but got ${size}`)
+    }
+    if (item.sha1) {
+      const sha1 = await this.hash(item.temp)
+      if (sha1 !== item.sha1) {
+        fs.unlinkSync(item.temp)
+        throw new Error(`Expected sha1 ${item.sha1} but got ${sha1}`)
+      }
+    }
+  }
+
+  hash (file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha1')
+      fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', data => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+    })
+  }
+
+  // Hands back the downloads that failed since the last call.
+  summary () {
+    const failed = this.failed
+    this.failed = []
+    return failed
+  }
+}
+
+module.exports = Downloader
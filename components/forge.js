@@ -0,0 +1,216 @@
+const fs = require('fs')
+const path = require('path')
+const child = require('child_process')
+const shelljs = require('shelljs')
+const Zip = require('adm-zip')
+
+// group:artifact:version[:classifier][@extension] to its path in a maven repository.
+function getMavenPath (name) {
+  const [coordinate, extension = 'jar'] = name.split('@')
+  const [group, artifact, version, classifier] = coordinate.split(':')
+  const file = `${artifact}-${version}${classifier ? '-' + classifier : ''}.${extension}`
+  return path.join(...group.split('.'), artifact, version, file)
+}
+
+// Does what the Forge and NeoForge installers do for a client: gets the libraries in install_profile.json, runs its
+// processors and writes the version JSON, which inherits from the Minecraft version, to versions/<id>.
+class ForgeInstaller {
+  constructor (handler) {
+    this.handler = handler
+    this.client = handler.client
+    this.options = handler.options
+    this.installer = this.options.forge
+    this.zip = new Zip(this.installer)
+    this.libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+
+    const profile = this.zip.getEntry('install_profile.json')
+    if (!profile) throw new Error(`${this.installer} is not a Forge or NeoForge installer, it has no install_profile.json`)
+    this.profile = JSON.parse(this.zip.readAsText(profile))
+  }
+
+  static isInstaller (file) {
+    return Boolean(new Zip(file).getEntry('install_profile.json'))
+  }
+
+  // Installers up to 1.12.2 keep the version JSON in versionInfo and only have the universal jar to extract.
+  isLegacy () {
+    return Boolean(this.profile.install && this.profile.versionInfo)
+  }
+
+  // The version JSON the installer would produce, read from the installer without installing anything.
+  getVersion () {
+    if (this.isLegacy()) {
+      const version = this.profile.versionInfo
+      return {
+        ...version,
+        inheritsFrom: version.inheritsFrom || this.profile.install.minecraft,
+        // Libraries without a url are vanilla ones, the rest come from Forge's maven.
+        libraries: version.libraries.map(lib => ({
+          ...lib,
+          url: lib.url ? this.options.overrides.url.mavenForge : this.options.overrides.url.defaultRepoForge
+        }))
+      }
+    }
+
+    const json = this.zip.getEntry(this.profile.json.replace(/^\//, ''))
+    if (!json) throw new Error(`${this.installer} has no ${this.profile.json}`)
+    return JSON.parse(this.zip.readAsText(json))
+  }
+
+  getVersionPath (version) {
+    return path.join(this.options.root, 'versions', version.id, `${version.id}.json`)
+  }
+
+  async install () {
+    const version = this.getVersion()
+    const versionPath = this.getVersionPath(version)
+    if (fs.existsSync(versionPath)) {
+      this.client.emit('debug', `[MCLC]: ${version.id} is already installed`)
+      return JSON.parse(fs.readFileSync(versionPath, { encoding: 'utf8' }))
+    }
+    if (this.options.offline) throw new Error(`${version.id} isn't installed, the installer can't run in offline mode`)
+
+    this.client.emit('debug', `[MCLC]: Installing ${version.id} from ${this.installer}`)
+    if (this.isLegacy()) {
+      // The universal jar is inside the installer, where install.path says it belongs in the libraries.
+      const universal = path.join(this.libraryDirectory, getMavenPath(this.profile.install.path))
+      shelljs.mkdir('-p', path.dirname(universal))
+      fs.writeFileSync(universal, this.zip.readFile(this.profile.install.filePath))
+    } else {
+      this.extractMaven()
+      await this.getLibraries(this.profile.libraries.concat(version.libraries))
+      await this.runProcessors()
+    }
+
+    shelljs.mkdir('-p', path.dirname(versionPath))
+    fs.writeFileSync(versionPath, JSON.stringify(version, null, 4))
+    this.client.emit('debug', `[MCLC]: Installed ${version.id}`)
+    return version
+  }
+
+  // Libraries with no url ship in the installer's maven folder, or are made by the processors.
+  extractMaven () {
+    for (const entry of this.zip.getEntries()) {
+      if (entry.isDirectory || !entry.entryName.startsWith('maven/')) continue
+      const target = path.join(this.libraryDirectory, entry.entryName.substring('maven/'.length))
+      shelljs.mkdir('-p', path.dirname(target))
+      fs.writeFileSync(target, entry.getData())
+    }
+  }
+
+  async getLibraries (libraries) {
+    const downloads = libraries.filter(lib => lib.downloads && lib.downloads.artifact && lib.downloads.artifact.url)
+    await this.handler.downloadToDirectory(this.libraryDirectory, downloads, 'forge')
+
+    const missing = downloads.filter(lib => {
+      const { jarPath, name } = this.handler.getLibraryPath(this.libraryDirectory, lib)
+      return !fs.existsSync(path.join(jarPath, name))
+    })
+    if (missing.length) {
+      const error = new Error(`Failed to download ${missing.length} Forge libraries:\n${missing.map(lib => lib.downloads.artifact.url).join('\n')}`)
+      error.libraries = missing
+      throw error
+    }
+  }
+
+  // data entries are [maven artifacts], 'literals' or /files in the installer, the rest are filled in like the installer does.
+  getData () {
+    const dataDirectory = path.join(this.options.root, 'forge', 'data', this.getVersion().id)
+    const data = {
+      SIDE: 'client',
+      MINECRAFT_JAR: path.join(this.options.directory, `${this.options.version.number}.jar`),
+      MINECRAFT_VERSION: this.options.version.number,
+      ROOT: this.options.root,
+      INSTALLER: this.installer,
+      LIBRARY_DIR: this.libraryDirectory
+    }
+
+    for (const key of Object.keys(this.profile.data || {})) {
+      const value = this.profile.data[key].client
+      if (value.startsWith('[')) {
+        data[key] = path.join(this.libraryDirectory, getMavenPath(value.slice(1, -1)))
+      } else if (value.startsWith('\'')) {
+        data[key] = value.slice(1, -1)
+      } else if (value.startsWith('/')) {
+        const target = path.join(dataDirectory, value)
+        shelljs.mkdir('-p', path.dirname(target))
+        fs.writeFileSync(target, this.zip.readFile(value.substring(1)))
+        data[key] = target
+      } else {
+        data[key] = value
+      }
+    }
+    return data
+  }
+
+  formatValue (value, data) {
+    if (value.startsWith('[') && value.endsWith(']')) return path.join(this.libraryDirectory, getMavenPath(value.slice(1, -1)))
+    return value.replace(/\{(\w+)\}/g, (match, key) => data[key] !== undefined ? data[key] : match)
+  }
+
+  async runProcessors () {
+    const data = this.getData()
+    const processors = (this.profile.processors || []).filter(processor => !processor.sides || processor.sides.includes('client'))
+
+    this.client.emit('progress', { type: 'forge-processors', task: 0, total: processors.length })
+    for (const [index, processor] of processors.entries()) {
+      const outputs = Object.keys(processor.outputs || {}).map(file => ({
+        path: this.formatValue(file, data),
+        sha1: this.formatValue(processor.outputs[file], data)
+      }))
+
+      // Outputs that are already there with the right hashes are left from an earlier install.
+      if (!outputs.length || (await this.getInvalidOutputs(outputs)).length) {
+        await this.runProcessor(processor, index, data)
+
+        const invalid = await this.getInvalidOutputs(outputs)
+        if (invalid.length) {
+          const error = new Error(`Forge processor ${processor.jar} produced invalid files:\n` +
+            invalid.map(file => `${file.path} (${file.reason})`).join('\n'))
+          error.processor = { index, jar: processor.jar }
+          error.files = invalid
+          throw error
+        }
+      }
+      this.client.emit('progress', { type: 'forge-processors', task: index + 1, total: processors.length })
+    }
+  }
+
+  async getInvalidOutputs (outputs) {
+    const invalid = []
+    for (const output of outputs) {
+      if (!fs.existsSync(output.path)) {
+        invalid.push({ ...output, reason: 'missing' })
+      } else if (await this.handler.downloader.hash(output.path) !== output.sha1) {
+        invalid.push({ ...output, reason: 'corrupt' })
+      }
+    }
+    return invalid
+  }
+
+  runProcessor (processor, index, data) {
+    return new Promise((resolve, reject) => {
+      const jar = path.join(this.libraryDirectory, getMavenPath(processor.jar))
+      const manifest = new Zip(jar).readAsText('META-INF/MANIFEST.MF')
+      const mainClass = (manifest.match(/^Main-Class: (.+)$/m) || [])[1]
+      if (!mainClass) return reject(new Error(`Forge processor ${processor.jar} has no main class`))
+
+      const classPath = processor.classpath.map(lib => path.join(this.libraryDirectory, getMavenPath(lib))).concat(jar)
+      const args = ['-cp', classPath.join(path.delimiter), mainClass.trim()]
+        .concat(processor.args.map(arg => this.formatValue(arg, data)))
+
+      this.client.emit('debug', `[MCLC]: Running Forge processor ${processor.jar}`)
+      child.execFile(this.handler.javaPath, args, { maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (!error) return resolve()
+
+        const err = new Error(`Forge processor ${processor.jar} failed with exit code ${error.code}`)
+        err.processor = { index, jar: processor.jar, args }
+        err.code = error.code
+        err.output = stdout + stderr
+        reject(err)
+      })
+    })
+  }
+}
+
+module.exports = ForgeInstaller
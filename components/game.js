@@ -0,0 +1,151 @@
+const fs = require('fs')
+const path = require('path')
+const child = require('child_process')
+const EventEmitter = require('events').EventEmitter
+const LogParser = require('./logs')
+
+// Watches a running game: tracks its state, kills it with everything it started, and looks for a crash
+// report or JVM error log once it exits.
+class Game extends EventEmitter {
+  constructor (minecraft, gameDirectory, detached) {
+    super()
+    this.process = minecraft
+    this.pid = minecraft.pid
+    this.gameDirectory = gameDirectory
+    this.detached = detached
+    this.startedAt = Date.now()
+    this.state = 'starting'
+    this.killed = false
+    this.ready = false
+
+    // The game counts as ready once the sound engine is up, that happens right before the title screen shows.
+    this.logs = new LogParser()
+    this.logs.on('log', (entry) => this.emit('log', entry))
+    this.logs.on('milestone', (milestone) => {
+      this.emit('milestone', milestone)
+      if (milestone.name !== 'sound-engine-started' || this.ready) return
+      this.ready = true
+      this.emit('ready')
+    })
+    if (minecraft.stdout) minecraft.stdout.on('data', (data) => this.logs.write(data))
+
+    // Node only emits spawn since 15.1, a process that got a pid has started on any version. Waiting a tick lets
+    // whoever made the game listen for the state change first.
+    if (minecraft.pid) process.nextTick(() => this.setState('running'))
+    minecraft.on('error', (error) => this.emit('debug', `[MCLC]: Game process error: ${error}`))
+    minecraft.on('close', (code) => this.onClose(code))
+  }
+
+  setState (state) {
+    if (this.state === state) return
+    this.state = state
+    this.emit('state', state)
+  }
+
+  // A detached game leads its own process group, the whole group is signalled so nothing it started is left behind.
+  kill (signal = 'SIGTERM') {
+    if (this.state === 'exited' || this.state === 'crashed') return false
+    this.killed = true
+
+    if (process.platform === 'win32') {
+      child.exec(`taskkill /pid ${this.pid} /T /F`)
+    } else if (this.detached) {
+      try {
+        process.kill(-this.pid, signal)
+      } catch (e) {
+        this.process.kill(signal)
+      }
+    } else {
+      this.process.kill(signal)
+    }
+    return true
+  }
+
+  onClose (code) {
+    this.logs.end()
+    const report = this.findCrashReport()
+    if ((code !== 0 && !this.killed) || report) {
+      this.setState('crashed')
+      this.emit('crash', { code, report })
+    } else {
+      this.setState('exited')
+    }
+    this.emit('exit', code)
+  }
+
+  // Only files written since the game started count, older ones belong to earlier crashes.
+  findCrashReport () {
+    const isNew = file => fs.statSync(file).mtimeMs >= this.startedAt
+    const crashReports = path.join(this.gameDirectory, 'crash-reports')
+
+    const reports = fs.existsSync(crashReports)
+      ? fs.readdirSync(crashReports).map(name => path.join(crashReports, name)).filter(file => file.endsWith('.txt') && isNew(file))
+      : []
+    if (reports.length) return this.parseCrashReport(reports.sort().pop())
+
+    const jvmLogs = fs.existsSync(this.gameDirectory)
+      ? fs.readdirSync(this.gameDirectory).filter(name => /^hs_err_pid\d+\.log$/.test(name))
+        .map(name => path.join(this.gameDirectory, name)).filter(isNew)
+      : []
+    if (jvmLogs.length) return this.parseJVMLog(jvmLogs.pop())
+
+    return null
+  }
+
+  parseCrashReport (file) {
+    const content = fs.readFileSync(file, { encoding: 'utf8' })
+    const lines = content.split(/\r?\n/)
+    const descriptionLine = lines.findIndex(line => line.startsWith('Description: '))
+
+    // The stack trace follows the description after a blank line and ends at the next blank line.
+    const stackTrace = []
+    if (descriptionLine !== -1) {
+      let line = descriptionLine + 1
+      while (line < lines.length && !lines[line].trim()) line++
+      while (line < lines.length && lines[line].trim()) stackTrace.push(lines[line++])
+    }
+
+    return {
+      type: 'crash-report',
+      file,
+      description: descriptionLine !== -1 ? lines[descriptionLine].substring('Description: '.length) : null,
+      stackTrace: stackTrace.join('\n'),
+      suspectedMods: this.getSuspectedMods(lines),
+      content
+    }
+  }
+
+  // Forge puts them on one line ("Suspected Mods: A (a), B (b)") or as an indented list, NeoForge and Fabric as a list.
+  getSuspectedMods (lines) {
+    const index = lines.findIndex(line => /^\s*Suspected Mods?(\(s\))?:/i.test(line))
+    if (index === -1) return []
+
+    const inline = lines[index].split(':').slice(1).join(':').trim()
+    if (inline && !/^none$/i.test(inline)) return inline.split(',').map(mod => mod.trim()).filter(Boolean)
+
+    const mods = []
+    for (let line = index + 1; line < lines.length && /^\s+\S/.test(lines[line]); line++) {
+      mods.push(lines[line].trim())
+    }
+    return mods
+  }
+
+  parseJVMLog (file) {
+    const content = fs.readFileSync(file, { encoding: 'utf8' })
+    const lines = content.split(/\r?\n/)
+    // The JVM writes the log while it's dying, it can end anywhere.
+    const frame = lines.findIndex(line => line.startsWith('# Problematic frame:'))
+    const description = lines.find(line => /^#\s+(EXCEPTION|SIG|Internal Error|Out of Memory|There is insufficient memory)/.test(line))
+
+    return {
+      type: 'jvm',
+      file,
+      description: description ? description.replace(/^#\s+/, '') : 'The Java Runtime Environment crashed',
+      stackTrace: frame !== -1 ? (lines[frame + 1] || '').replace(/^#\s+/, '') : '',
+      suspectedMods: [],
+      content
+    }
+  }
+}
+
+module.exports = Game
@@ -2,150 +2,292 @@ const fs = require('fs')
 const shelljs = require('shelljs')
 const path = require('path')
 const request = require('request')
-const checksum = require('checksum')
 const Zip = require('adm-zip')
 const child = require('child_process')
-let counter = 0
+const os = require('os')
+const Java = require('./java')
+const Versions = require('./versions')
+const Loaders = require('./loaders')
+const ForgeInstaller = require('./forge')
+const Downloader = require('./downloader')
 
 class Handler {
   constructor (client) {
     this.client = client
     this.options = client.options
+    // Progress is counted per handler, so instances installing at the same time don't mix up each other's.
+    this.counter = 0
     this.baseRequest = request.defaults({
       pool: { maxSockets: this.options.overrides.maxSockets || 2 },
       timeout: this.options.timeout || 10000
     })
+    this.downloader = new Downloader(client, this.baseRequest, {
+      concurrency: this.options.overrides.maxDownloads,
+      retries: this.options.overrides.downloadRetries,
+      mirrors: this.options.overrides.mirrors,
+      cache: this.options.overrides.cacheDirectory
+    })
   }
 
-  checkJava (java) {
-    return new Promise(resolve => {
-      child.exec(`"${java}" -version`, (error, stdout, stderr) => {
-        if (error) {
-          resolve({
-            run: false,
-            message: error
-          })
-        } else {
-          this.client.emit('debug', `[MCLC]: Using Java version ${stderr.match(/"(.*?)"/).pop()} ${stderr.includes('64-Bit') ? '64-bit' : '32-Bit'}`)
-          resolve({
-            run: true
-          })
-        }
-      })
-    })
+  async checkJava (java) {
+    const result = await Java.check(java)
+    if (result.run) {
+      this.client.emit('debug', `[MCLC]: Using Java version ${result.version} (${result.vendor}) ${result.is64Bit ? '64-bit' : '32-Bit'}`)
+    }
+    return result
   }
 
-  downloadAsync (url, directory, name, retry, type) {
-    return new Promise(resolve => {
-      shelljs.mkdir('-p', directory)
+  // file can hold the sha1 and size from the version JSONs, the download is only kept if it matches them.
+  downloadAsync (url, directory, name, retry, type, file = {}) {
+    if (this.options.offline) {
+      this.client.emit('debug', `[MCLC]: Not downloading ${url} in offline mode`)
+      return Promise.resolve(false)
+    }
+    return this.downloader.download(url, directory, name, { retry, type, sha1: file.sha1, size: file.size })
+  }
 
-      const _request = this.baseRequest(url)
+  async checkSum (hash, file) {
+    try {
+      return await this.downloader.hash(file) === hash
+    } catch (err) {
+      this.client.emit('debug', `[MCLC]: Failed to check file hash due to ${err}`)
+      return false
+    }
+  }
 
-      let receivedBytes = 0
-      let totalBytes = 0
+  getVersion () {
+    return new Promise((resolve, reject) => {
+      const versionJsonPath = this.options.overrides.versionJson || path.join(this.options.directory, `${this.options.version.number}.json`)
+      if (fs.existsSync(versionJsonPath)) {
+        this.version = JSON.parse(fs.readFileSync(versionJsonPath))
+        return resolve(this.version)
+      }
 
-      _request.on('response', (data) => {
-        if (data.statusCode === 404) {
-          this.client.emit('debug', `[MCLC]: Failed to download ${url} due to: File not found...`)
-          resolve(false)
-        }
+      if (this.options.offline) return reject(new Error(`Version ${this.options.version.number} isn't installed, it can't be downloaded in offline mode`))
 
-        totalBytes = parseInt(data.headers['content-length'])
-      })
+      this.fetchVersion(this.options.version.number).then(version => {
+        this.client.emit('debug', '[MCLC]: Parsed version from version manifest')
+        this.version = version
+        resolve(this.version)
+      }).catch(reject)
+    })
+  }
 
-      _request.on('error', async (error) => {
-        this.client.emit('debug', `[MCLC]: Failed to download asset to ${path.join(directory, name)} due to\n${error}.` +
-                    ` Retrying... ${retry}`)
-        if (retry) await this.downloadAsync(url, directory, name, false, type)
-        resolve()
-      })
+  async fetchVersion (id) {
+    const desiredVersion = await Versions.get(id, this.options)
+    return this.fetchJSON(desiredVersion.url)
+  }
 
-      _request.on('data', (data) => {
-        receivedBytes += data.length
-        this.client.emit('download-status', {
-          name: name,
-          type: type,
-          current: receivedBytes,
-          total: totalBytes
-        })
-      })
+  async fetchJSON (url) {
+    return (await Downloader.fetchJSON(url, this.options)).body
+  }
 
-      const file = fs.createWriteStream(path.join(directory, name))
-      _request.pipe(file)
+  // Writes the Fabric or Quilt profile to versions/<id> once, it's then launched like any custom version inheriting from the game.
+  async getLoader () {
+    const type = this.options.loader.type
+    const gameVersion = this.options.version.number
+    const loaderVersion = await Loaders.resolveVersion(type, gameVersion, this.options.loader.version, this.options)
+    const id = Loaders.getId(type, gameVersion, loaderVersion)
+
+    const profilePath = path.join(this.options.root, 'versions', id, `${id}.json`)
+    if (!fs.existsSync(profilePath)) {
+      this.client.emit('debug', `[MCLC]: Getting the ${type} ${loaderVersion} profile for ${gameVersion}`)
+      const profile = await Loaders.getProfile(type, gameVersion, loaderVersion, this.options)
+      shelljs.mkdir('-p', path.dirname(profilePath))
+      fs.writeFileSync(profilePath, JSON.stringify({ ...profile, id }, null, 4))
+    }
 
-      file.once('finish', () => {
-        this.client.emit('download', name)
-        resolve({
-          failed: false,
-          asset: null
-        })
-      })
+    return id
+  }
 
-      file.on('error', async (e) => {
-        this.client.emit('debug', `[MCLC]: Failed to download asset to ${path.join(directory, name)} due to\n${e}.` +
-                    ` Retrying... ${retry}`)
-        if (fs.existsSync(path.join(directory, name))) shelljs.rm(path.join(directory, name))
-        if (retry) await this.downloadAsync(url, directory, name, false, type)
-        resolve()
-      })
-    })
+  // Follows the inheritsFrom chain and merges it into one version JSON, parents are downloaded if they're missing.
+  async resolveVersion (version) {
+    if (!version.inheritsFrom) return version
+
+    const parentDirectory = path.join(this.options.root, 'versions', version.inheritsFrom)
+    const parentPath = path.join(parentDirectory, `${version.inheritsFrom}.json`)
+    let parent
+    if (fs.existsSync(parentPath)) {
+      parent = JSON.parse(fs.readFileSync(parentPath, { encoding: 'utf8' }))
+    } else {
+      if (this.options.offline) throw new Error(`Parent version ${version.inheritsFrom} isn't installed, it can't be downloaded in offline mode`)
+      this.client.emit('debug', `[MCLC]: Downloading parent version ${version.inheritsFrom}`)
+      parent = await this.fetchVersion(version.inheritsFrom)
+      shelljs.mkdir('-p', parentDirectory)
+      fs.writeFileSync(parentPath, JSON.stringify(parent, null, 4))
+    }
+
+    return this.mergeVersions(await this.resolveVersion(parent), version)
   }
 
-  checkSum (hash, file) {
-    return new Promise((resolve, reject) => {
-      checksum.file(file, (err, sum) => {
-        if (err) {
-          this.client.emit('debug', `[MCLC]: Failed to check file hash due to ${err}`)
-          resolve(false)
-        } else {
-          resolve(hash === sum)
-        }
-      })
-    })
+  // Same precedence as the official launcher: the child wins on single values, libraries and arguments stack.
+  mergeVersions (parent, child) {
+    // group:artifact(:classifier), so a child can replace a parent library with another version of it.
+    const libraryKey = lib => lib.name.split(':').filter((part, index) => index !== 2).join(':')
+    const childLibraries = child.libraries || []
+    const childKeys = childLibraries.map(libraryKey)
+
+    const merged = {
+      ...parent,
+      ...child,
+      libraries: childLibraries.concat((parent.libraries || []).filter(lib => !childKeys.includes(libraryKey(lib))))
+    }
+    delete merged.inheritsFrom
+
+    if (parent.arguments || child.arguments) {
+      const parentArgs = parent.arguments || {}
+      const childArgs = child.arguments || {}
+      merged.arguments = {
+        game: (parentArgs.game || []).concat(childArgs.game || []),
+        jvm: (parentArgs.jvm || []).concat(childArgs.jvm || [])
+      }
+    }
+
+    return merged
   }
 
-  getVersion () {
-    return new Promise(resolve => {
-      const versionJsonPath = this.options.overrides.versionJson || path.join(this.options.directory, `${this.options.version.number}.json`)
-      if (fs.existsSync(versionJsonPath)) {
-        this.version = JSON.parse(fs.readFileSync(versionJsonPath))
-        return resolve(this.version)
+  async getJava () {
+    let javaPath = this.options.javaPath
+    if (!javaPath && this.version.javaVersion) {
+      try {
+        javaPath = await this.getJavaRuntime()
+      } catch (e) {
+        this.client.emit('debug', `[MCLC]: Couldn't get Java runtime ${this.version.javaVersion.component} due to: ${e.message}, falling back to java`)
       }
+    }
+
+    this.javaPath = javaPath || 'java'
+    return this.checkJava(this.javaPath)
+  }
 
-      const manifest = `${this.options.overrides.url.meta}/mc/game/version_manifest.json`
-      request.get(manifest, (error, response, body) => {
-        if (error) resolve(error)
+  async getJavaRuntime () {
+    const component = this.version.javaVersion.component
+    const runtimeDirectory = path.join(this.options.root, 'runtime', component)
+    const platform = this.getRuntimePlatform()
 
-        const parsed = JSON.parse(body)
+    if (this.options.offline) {
+      const executable = this.getRuntimeExecutable(runtimeDirectory)
+      if (!fs.existsSync(executable)) throw new Error(`Runtime ${component} isn't installed`)
+      return executable
+    }
+
+    const runtimes = await this.fetchJSON(`${this.options.overrides.url.javaRuntime}/all.json`)
+    if (!runtimes[platform] || !runtimes[platform][component] || !runtimes[platform][component].length) {
+      throw new Error(`No ${component} runtime available for ${platform}`)
+    }
+    const runtime = runtimes[platform][component][0]
+
+    // The manifest hash is kept next to the runtime so verified installs aren't hashed again on every launch.
+    const installedPath = path.join(this.options.root, 'runtime', `${component}.sha1`)
+    const installed = fs.existsSync(installedPath) && fs.readFileSync(installedPath, { encoding: 'utf8' }) === runtime.manifest.sha1
+    if (!installed) {
+      this.client.emit('debug', `[MCLC]: Downloading Java runtime ${component} (${runtime.version.name})`)
+      const manifest = await this.fetchJSON(runtime.manifest.url)
+      const files = Object.keys(manifest.files)
 
-        for (const desiredVersion in parsed.versions) {
-          if (parsed.versions[desiredVersion].id === this.options.version.number) {
-            request.get(parsed.versions[desiredVersion].url, (error, response, body) => {
-              if (error) resolve(error)
+      files.filter(file => manifest.files[file].type === 'directory')
+        .forEach(file => shelljs.mkdir('-p', path.join(runtimeDirectory, file)))
+
+      this.client.emit('progress', {
+        type: 'runtime',
+        task: 0,
+        total: files.length
+      })
 
-              this.client.emit('debug', '[MCLC]: Parsed version from version manifest')
-              this.version = JSON.parse(body)
-              return resolve(this.version)
-            })
+      let task = 0
+      await Promise.all(files.map(async file => {
+        const entry = manifest.files[file]
+        const filePath = path.join(runtimeDirectory, file)
+
+        if (entry.type === 'file') {
+          const raw = entry.downloads.raw
+          if (!fs.existsSync(filePath) || !await this.checkSum(raw.sha1, filePath)) {
+            if (!await this.downloadAsync(raw.url, path.dirname(filePath), path.basename(filePath), true, 'runtime', raw)) {
+              throw new Error(`Failed to download runtime file ${file}`)
+            }
           }
+          if (entry.executable) fs.chmodSync(filePath, 0o755)
+        } else if (entry.type === 'link' && this.getOS() !== 'windows') {
+          shelljs.mkdir('-p', path.dirname(filePath))
+          try { fs.unlinkSync(filePath) } catch (e) {}
+          fs.symlinkSync(entry.target, filePath)
         }
-      })
-    })
+
+        task++
+        this.client.emit('progress', {
+          type: 'runtime',
+          task,
+          total: files.length
+        })
+      }))
+
+      const java = await Java.check(this.getRuntimeExecutable(runtimeDirectory))
+      if (!java.run) throw new Error(`Downloaded Java runtime ${component} doesn't run: ${java.message}`)
+
+      fs.writeFileSync(installedPath, runtime.manifest.sha1)
+      this.client.emit('debug', `[MCLC]: Downloaded Java runtime ${component}`)
+    }
+
+    return this.getRuntimeExecutable(runtimeDirectory)
+  }
+
+  getRuntimeExecutable (runtimeDirectory) {
+    switch (this.getOS()) {
+      case 'osx': return path.join(runtimeDirectory, 'jre.bundle', 'Contents', 'Home', 'bin', 'java')
+      case 'windows': return path.join(runtimeDirectory, 'bin', 'java.exe')
+      default: return path.join(runtimeDirectory, 'bin', 'java')
+    }
+  }
+
+  getRuntimePlatform () {
+    const arch = this.getArch()
+    switch (this.getOS()) {
+      case 'windows':
+        if (arch === 'x86') return 'windows-x86'
+        return arch === 'arm64' ? 'windows-arm64' : 'windows-x64'
+      case 'osx': return arch === 'arm64' ? 'mac-os-arm64' : 'mac-os'
+      default:
+        // Mojang has no ARM runtimes for Linux, the x64 one would be downloaded for nothing.
+        if (arch === 'arm' || arch === 'arm64') throw new Error(`No Java runtime for linux-${arch}`)
+        return arch === 'x86' ? 'linux-i386' : 'linux'
+    }
   }
 
   async getJar () {
-    await this.downloadAsync(this.version.downloads.client.url, this.options.directory, `${this.options.version.number}.jar`, true, 'version-jar')
+    await this.downloadAsync(this.version.downloads.client.url, this.options.directory, `${this.options.version.number}.jar`, true, 'version-jar', this.version.downloads.client)
 
     fs.writeFileSync(path.join(this.options.directory, `${this.options.version.number}.json`), JSON.stringify(this.version, null, 4))
 
     return this.client.emit('debug', '[MCLC]: Downloaded version jar and wrote version json')
   }
 
+  // The log config makes the game print its log as log4j XML events, which the launcher can parse reliably.
+  async getLogging () {
+    const logging = this.version.logging && this.version.logging.client
+    if (!logging || !logging.file) return []
+
+    const logPath = this.getLoggingPath()
+    if (!fs.existsSync(logPath) || !await this.checkSum(logging.file.sha1, logPath)) {
+      const download = await this.downloadAsync(logging.file.url, path.dirname(logPath), logging.file.id, true, 'log-config', logging.file)
+      if (!download) {
+        this.client.emit('debug', '[MCLC]: Couldn\'t get the log config, the game will log as plain text')
+        return []
+      }
+    }
+
+    return [this.formatArgument(logging.argument, { '${path}': logPath })]
+  }
+
+  getLoggingPath () {
+    const assetDirectory = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
+    return path.join(assetDirectory, 'log_configs', this.version.logging.client.file.id)
+  }
+
   async getAssets () {
     const assetDirectory = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
     if (!fs.existsSync(path.join(assetDirectory, 'indexes', `${this.version.assetIndex.id}.json`))) {
       await this.downloadAsync(this.version.assetIndex.url, path.join(assetDirectory, 'indexes'),
-                  `${this.version.assetIndex.id}.json`, true, 'asset-json')
+                  `${this.version.assetIndex.id}.json`, true, 'asset-json', this.version.assetIndex)
     }
 
     const index = JSON.parse(fs.readFileSync(path.join(assetDirectory, 'indexes', `${this.version.assetIndex.id}.json`), { encoding: 'utf8' }))
@@ -163,20 +305,20 @@ class Handler {
 
       if (!fs.existsSync(path.join(subAsset, hash)) || !await this.checkSum(hash, path.join(subAsset, hash))) {
         await this.downloadAsync(`${this.options.overrides.url.resource}/${subhash}/${hash}`, subAsset, hash,
-          true, 'assets')
-        counter++
+          true, 'assets', { sha1: hash, size: index.objects[asset].size })
+        this.counter++
         this.client.emit('progress', {
           type: 'assets',
-          task: counter,
+          task: this.counter,
           total: Object.keys(index.objects).length
         })
       }
     }))
-    counter = 0
+    this.counter = 0
 
-    // Copy assets to legacy if it's an older Minecraft version.
-    if (this.isLegacy()) {
-      this.client.emit('debug', `[MCLC]: Copying assets over to ${path.join(assetDirectory, 'legacy')}`)
+    const virtualDirectory = this.getVirtualAssetDirectory(index)
+    if (virtualDirectory) {
+      this.client.emit('debug', `[MCLC]: Linking assets to ${virtualDirectory}`)
 
       this.client.emit('progress', {
         type: 'assets-copy',
@@ -184,73 +326,125 @@ class Handler {
         total: Object.keys(index.objects).length
       })
 
-      await Promise.all(Object.keys(index.objects).map(async asset => {
+      for (const asset of Object.keys(index.objects)) {
         const hash = index.objects[asset].hash
-        const subhash = hash.substring(0, 2)
-        const subAsset = path.join(assetDirectory, 'objects', subhash)
-
-        const legacyAsset = asset.split('/')
-        legacyAsset.pop()
-
-        if (!fs.existsSync(path.join(assetDirectory, 'legacy', legacyAsset.join('/')))) {
-          shelljs.mkdir('-p', path.join(assetDirectory, 'legacy', legacyAsset.join('/')))
-        }
-
-        if (!fs.existsSync(path.join(assetDirectory, 'legacy', asset))) {
-          fs.copyFileSync(path.join(subAsset, hash), path.join(assetDirectory, 'legacy', asset))
-        }
-        counter++
+        await this.linkAsset(path.join(assetDirectory, 'objects', hash.substring(0, 2), hash), path.join(virtualDirectory, asset))
+        this.counter++
         this.client.emit('progress', {
           type: 'assets-copy',
-          task: counter,
+          task: this.counter,
           total: Object.keys(index.objects).length
         })
-      }))
+      }
     }
-    counter = 0
+    this.counter = 0
 
     this.client.emit('debug', '[MCLC]: Downloaded assets')
   }
 
-  parseRule (lib) {
-    if (lib.rules) {
-      if (lib.rules.length > 1) {
-        if (lib.rules[0].action === 'allow' &&
-                    lib.rules[1].action === 'disallow' &&
-                    lib.rules[1].os.name === 'osx') {
-          return this.getOS() === 'osx'
-        } else {
-          return true
-        }
-      } else {
-        if (lib.rules[0].action === 'allow' && lib.rules[0].os) return this.getOS() !== 'osx'
+  // Mojang's rule semantics: nothing is allowed until a rule says so, and the last matching rule wins.
+  checkRules (rules, features = this.getFeatures()) {
+    if (!rules || !rules.length) return true
+
+    let action = 'disallow'
+    for (const rule of rules) {
+      if (this.ruleMatches(rule, features)) action = rule.action
+    }
+    return action === 'allow'
+  }
+
+  ruleMatches (rule, features) {
+    if (rule.os) {
+      if (rule.os.name && rule.os.name !== this.getOS()) return false
+      if (rule.os.version && !new RegExp(rule.os.version).test(this.getOSVersion())) return false
+      if (rule.os.arch && !this.matchesArch(rule.os.arch)) return false
+    }
+    if (rule.features) {
+      for (const feature of Object.keys(rule.features)) {
+        if (Boolean(features[feature]) !== rule.features[feature]) return false
       }
-    } else {
-      return false
     }
+    return true
+  }
+
+  getFeatures () {
+    const window = this.options.window
+    return {
+      is_demo_user: false,
+      has_custom_resolution: Boolean(window && !window.fullscreen && window.width && window.height),
+      ...this.getQuickPlayFeatures(),
+      ...this.options.features
+    }
+  }
+
+  // The quick play option, or options.server as a multiplayer one, as { type, identifier, path }. Singleplayer
+  // worlds are the folder names in the game directory's saves, multiplayer ones host:port and realms their id.
+  getQuickPlay () {
+    const quickPlay = this.options.quickPlay || (this.options.server && {
+      type: 'multiplayer',
+      identifier: `${this.options.server.host}:${this.options.server.port || '25565'}`
+    })
+    if (!quickPlay) return null
+
+    if (!['singleplayer', 'multiplayer', 'realms'].includes(quickPlay.type)) {
+      throw new Error(`Unknown quick play type ${quickPlay.type}, it has to be singleplayer, multiplayer or realms`)
+    }
+    if (!quickPlay.identifier) throw new Error(`Quick play ${quickPlay.type} needs an identifier`)
+    return quickPlay
+  }
+
+  checkQuickPlay () {
+    const quickPlay = this.getQuickPlay()
+    if (quickPlay && quickPlay.type === 'singleplayer' && !fs.existsSync(path.join(this.options.gameDirectory, 'saves', quickPlay.identifier, 'level.dat'))) {
+      throw new Error(`There is no world called ${quickPlay.identifier} in ${path.join(this.options.gameDirectory, 'saves')}`)
+    }
+    return quickPlay
+  }
+
+  getQuickPlayFeatures () {
+    const quickPlay = this.getQuickPlay()
+    if (!quickPlay) return {}
+    return {
+      has_quick_plays_support: Boolean(quickPlay.path),
+      [`is_quick_play_${quickPlay.type}`]: true
+    }
+  }
+
+  // Versions since 23w14a ignore --server and have quick play arguments behind feature rules instead.
+  supportsQuickPlay (modification) {
+    return [this.version, modification].some(file => file && file.arguments && (file.arguments.game || []).some(arg =>
+      typeof arg === 'object' && (arg.rules || []).some(rule => Object.keys(rule.features || {}).some(feature => feature.startsWith('is_quick_play_')))
+    ))
+  }
+
+  // Flattens version JSON arguments, dropping object entries whose rules don't apply.
+  parseArguments (args = []) {
+    return args.reduce((parsed, arg) => {
+      if (typeof arg === 'string') return parsed.concat(arg)
+      if (!this.checkRules(arg.rules)) return parsed
+      return parsed.concat(arg.value)
+    }, [])
+  }
+
+  getNativeClassifier (lib) {
+    const os = this.getOS()
+    if (lib.natives && lib.natives[os]) {
+      return lib.natives[os].replace('${arch}', ['x86', 'arm'].includes(this.getArch()) ? '32' : '64')
+    }
+    if (os === 'osx' && !lib.downloads.classifiers['natives-osx']) return 'natives-macos'
+    return `natives-${os}`
   }
 
   async getNatives () {
     const nativeDirectory = path.resolve(this.options.overrides.natives || path.join(this.options.root, 'natives', this.version.id))
 
     if (!fs.existsSync(nativeDirectory) || !fs.readdirSync(nativeDirectory).length) {
-      shelljs.mkdir('-p', nativeDirectory)
+      // Instances of the same version share the folder, so it's only moved into place once everything is extracted.
+      const tempDirectory = `${nativeDirectory}.${process.pid}-${Math.random().toString(36).substring(2)}.tmp`
+      shelljs.mkdir('-p', tempDirectory)
 
-      const natives = async () => {
-        const natives = []
-        await Promise.all(this.version.libraries.map(async (lib) => {
-          if (!lib.downloads.classifiers) return
-          if (this.parseRule(lib)) return
-
-          const native = this.getOS() === 'osx'
-            ? lib.downloads.classifiers['natives-osx'] || lib.downloads.classifiers['natives-macos']
-            : lib.downloads.classifiers[`natives-${this.getOS()}`]
-
-          natives.push(native)
-        }))
-        return natives
-      }
-      const stat = await natives()
+      const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+      const stat = this.getNativeLibraries()
 
       this.client.emit('progress', {
         type: 'natives',
@@ -258,133 +452,114 @@ class Handler {
         total: stat.length
       })
 
+      // The archives are kept in the library folder so they can be verified and extracted again later.
       await Promise.all(stat.map(async (native) => {
-        if (!native) return
-        const name = native.path.split('/').pop()
-        await this.downloadAsync(native.url, nativeDirectory, name, true, 'natives')
-        if (!await this.checkSum(native.sha1, path.join(nativeDirectory, name))) {
-          await this.downloadAsync(native.url, nativeDirectory, name, true, 'natives')
+        const nativePath = path.join(libraryDirectory, native.path)
+        if (!fs.existsSync(nativePath)) {
+          await this.downloadAsync(native.url, path.dirname(nativePath), path.basename(nativePath), true, 'natives', native)
         }
         try {
-          new Zip(path.join(nativeDirectory, name)).extractAllTo(nativeDirectory, true)
+          new Zip(nativePath).extractAllTo(tempDirectory, true)
         } catch (e) {
           // Only doing a console.warn since a stupid error happens. You can basically ignore this.
-          // if it says Invalid file name, just means two files were downloaded and both were deleted.
-          // All is well.
           console.warn(e)
         }
-        shelljs.rm(path.join(nativeDirectory, name))
-        counter++
+        this.counter++
         this.client.emit('progress', {
           type: 'natives',
-          task: counter,
+          task: this.counter,
           total: stat.length
         })
       }))
+
+      try {
+        if (fs.existsSync(nativeDirectory) && !fs.readdirSync(nativeDirectory).length) fs.rmdirSync(nativeDirectory)
+        fs.renameSync(tempDirectory, nativeDirectory)
+      } catch (e) {
+        // Another launch extracted them first.
+        this.client.emit('debug', `[MCLC]: Natives were already extracted to ${nativeDirectory}`)
+        shelljs.rm('-rf', tempDirectory)
+      }
       this.client.emit('debug', '[MCLC]: Downloaded and extracted natives')
     }
 
-    counter = 0
+    this.counter = 0
     this.client.emit('debug', `[MCLC]: Set native path to ${nativeDirectory}`)
 
     return nativeDirectory
   }
 
-  // Not bothering to rewrite this.
-  async getForgeDependenciesLegacy () {
-    if (!fs.existsSync(path.join(this.options.root, 'forge'))) {
-      shelljs.mkdir('-p', path.join(this.options.root, 'forge'))
-    }
+  getNativeLibraries () {
+    return this.version.libraries
+      .filter(lib => lib.downloads && lib.downloads.classifiers && this.checkRules(lib.rules))
+      .map(lib => lib.downloads.classifiers[this.getNativeClassifier(lib)])
+      .filter(Boolean)
+  }
 
-    const zipFile = new Zip(this.options.forge)
+  // Libraries of a universal jar's version.json that the vanilla version doesn't have. Forge's own libraries come from
+  // its maven, the ones it marks as client or server requirements without a url from Mojang's.
+  getForgeLibraries (forge) {
+    return forge.libraries
+      .filter(library => {
+        const lib = library.name.split(':')
+        if (lib[0] === 'net.minecraftforge' && lib[1].includes('forge')) return false
+        return library.url || library.serverreq || library.clientreq
+      })
+      .map(library => ({
+        ...library,
+        url: library.url ? this.options.overrides.url.mavenForge : this.options.overrides.url.defaultRepoForge
+      }))
+  }
 
-    if (zipFile.getEntry('install_profile.json')) {
-      this.client.emit('debug', '[MCLC]: Detected Forge installer, will treat as custom with ForgeWrapper')
+  // Universal jars before 1.13 are put on the class path as they are, with the libraries of their version.json.
+  // Installers are left to ForgeInstaller, false is returned for them.
+  async getForgeDependenciesLegacy () {
+    if (ForgeInstaller.isInstaller(this.options.forge)) {
+      this.client.emit('debug', '[MCLC]: Detected Forge installer, will install it as a custom version')
       return false
     }
 
-    try {
-      await zipFile.extractEntryTo('version.json', path.join(this.options.root, 'forge', `${this.version.id}`), false, true)
-    } catch (e) {
-      this.client.emit('debug', `[MCLC]: Unable to extract version.json from the forge jar due to ${e}`)
-      return null
-    }
-
-    const forge = JSON.parse(fs.readFileSync(path.join(this.options.root, 'forge', `${this.version.id}`, 'version.json'), { encoding: 'utf8' }))
-    const paths = []
+    const entry = new Zip(this.options.forge).getEntry('version.json')
+    if (!entry) throw new Error(`${this.options.forge} is not a Forge installer or universal jar, it has no install_profile.json or version.json`)
+    const forge = JSON.parse(entry.getData().toString('utf8'))
 
-    this.client.emit('progress', {
-      type: 'forge',
-      task: 0,
-      total: forge.libraries.length
-    })
+    // verify reads it from here, so it doesn't have to open the jar.
+    const forgeDirectory = path.join(this.options.root, 'forge', this.version.id)
+    shelljs.mkdir('-p', forgeDirectory)
+    fs.writeFileSync(path.join(forgeDirectory, 'version.json'), JSON.stringify(forge, null, 4))
 
     const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
-
-    await Promise.all(forge.libraries.map(async library => {
+    const libraries = this.getForgeLibraries(forge).map(library => {
+      const { jarPath, name } = this.getLibraryPath(libraryDirectory, library)
       const lib = library.name.split(':')
+      return { ...library, path: path.join(jarPath, name), mavenPath: `${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}/${name}` }
+    })
 
-      if (lib[0] === 'net.minecraftforge' && lib[1].includes('forge')) return
-
-      let url = this.options.overrides.url.mavenForge
-      const jarPath = path.join(libraryDirectory, `${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}`)
-      const name = `${lib[1]}-${lib[2]}.jar`
-
-      if (!library.url) {
-        if (library.serverreq || library.clientreq) {
-          url = this.options.overrides.url.defaultRepoForge
-        } else {
-          return
+    // Offline launches report missing libraries when checking the local files.
+    if (!this.options.offline) {
+      this.client.emit('progress', { type: 'forge', task: 0, total: libraries.length })
+      await Promise.all(libraries.map(async library => {
+        if (!fs.existsSync(library.path)) {
+          const directory = path.dirname(library.path)
+          const name = path.basename(library.path)
+          const download = await this.downloadAsync(`${library.url}${library.mavenPath}`, directory, name, true, 'forge')
+          if (!download) await this.downloadAsync(`${this.options.overrides.url.fallbackMaven}${library.mavenPath}`, directory, name, true, 'forge')
         }
-      }
-
-      const downloadLink = `${url}${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}/${name}`
+        this.counter++
+        this.client.emit('progress', { type: 'forge', task: this.counter, total: libraries.length })
+      }))
+      this.counter = 0
 
-      if (fs.existsSync(path.join(jarPath, name))) {
-        paths.push(`${jarPath}${path.sep}${name}`)
-        counter++
-        this.client.emit('progress', { type: 'forge', task: counter, total: forge.libraries.length })
-        return
+      const missing = libraries.filter(library => !fs.existsSync(library.path))
+      if (missing.length) {
+        const error = new Error(`Failed to download ${missing.length} Forge libraries:\n${missing.map(library => `${library.url}${library.mavenPath}`).join('\n')}`)
+        error.libraries = missing
+        throw error
       }
-      if (!fs.existsSync(jarPath)) shelljs.mkdir('-p', jarPath)
-
-      const download = await this.downloadAsync(downloadLink, jarPath, name, true, 'forge')
-      if (!download) await this.downloadAsync(`${this.options.overrides.url.fallbackMaven}${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}/${name}`, jarPath, name, true, 'forge')
-
-      paths.push(`${jarPath}${path.sep}${name}`)
-      counter++
-      this.client.emit('progress', {
-        type: 'forge',
-        task: counter,
-        total: forge.libraries.length
-      })
-    }))
-
-    counter = 0
-    this.client.emit('debug', '[MCLC]: Downloaded Forge dependencies')
-
-    return { paths, forge }
-  }
+      this.client.emit('debug', '[MCLC]: Downloaded Forge dependencies')
+    }
 
-  getForgedWrapped () {
-    return new Promise(resolve => {
-      const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
-      const launchArgs = `"${this.options.javaPath ? this.options.javaPath : 'java'}" -jar ${path.resolve(this.options.forgeWrapper.jar)}` +
-      ` --installer=${this.options.forge} --instance=${this.options.root} ` +
-      `--saveTo=${path.join(libraryDirectory, 'io', 'github', 'zekerzhayard', 'ForgeWrapper', this.options.forgeWrapper.version)}`
-
-      const fw = child.exec(launchArgs)
-      const forgeJson = path.join(this.options.root, 'forge', this.version.id, 'version.json')
-
-      fw.on('close', (e) => {
-        if (!fs.existsSync(forgeJson)) {
-          this.client.emit('debug', '[MCLC]: ForgeWrapper did not produce a version file, using Vanilla')
-          resolve(null)
-        } else {
-          resolve(JSON.parse(fs.readFileSync(forgeJson, { encoding: 'utf8' })))
-        }
-      })
-    })
+    return { paths: libraries.map(library => library.path), forge }
   }
 
   runInstaller (path) {
@@ -394,42 +569,48 @@ class Handler {
     })
   }
 
+  getLibraryPath (directory, library) {
+    if (library.downloads && library.downloads.artifact && library.downloads.artifact.path) {
+      return {
+        name: library.downloads.artifact.path.split('/').pop(),
+        jarPath: path.join(directory, this.popString(library.downloads.artifact.path))
+      }
+    }
+
+    const lib = library.name.split(':')
+    return {
+      name: `${lib[1]}-${lib[2]}${lib[3] ? '-' + lib[3] : ''}.jar`,
+      jarPath: path.join(directory, `${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}`)
+    }
+  }
+
   async downloadToDirectory (directory, libraries, eventName) {
     const libs = []
 
     await Promise.all(libraries.map(async library => {
       if (!library) return
       const lib = library.name.split(':')
-
-      let jarPath
-      let name
-      if (library.downloads && library.downloads.artifact && library.downloads.artifact.path) {
-        name = library.downloads.artifact.path.split('/')[library.downloads.artifact.path.split('/').length - 1]
-        jarPath = path.join(directory, this.popString(library.downloads.artifact.path))
-      } else {
-        name = `${lib[1]}-${lib[2]}${lib[3] ? '-' + lib[3] : ''}.jar`
-        jarPath = path.join(directory, `${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}`)
-      }
+      const { jarPath, name } = this.getLibraryPath(directory, library)
 
       if (!fs.existsSync(path.join(jarPath, name))) {
         // Simple lib support, forgot which addon needed this but here you go, Mr special.
         if (library.url) {
           const url = `${library.url}${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}/${name}`
-          await this.downloadAsync(url, jarPath, name, true, eventName)
-        } else if (library.downloads && library.downloads.artifact) {
-          await this.downloadAsync(library.downloads.artifact.url, jarPath, name, true, eventName)
+          await this.downloadAsync(url, jarPath, name, true, eventName, library)
+        } else if (library.downloads && library.downloads.artifact && library.downloads.artifact.url) {
+          await this.downloadAsync(library.downloads.artifact.url, jarPath, name, true, eventName, library.downloads.artifact)
         }
       }
 
-      counter++
+      this.counter++
       this.client.emit('progress', {
         type: eventName,
-        task: counter,
+        task: this.counter,
         total: libraries.length
       })
       libs.push(`${jarPath}${path.sep}${name}`)
     }))
-    counter = 0
+    this.counter = 0
 
     return libs
   }
@@ -439,22 +620,121 @@ class Handler {
 
     const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
 
+    const mavenFiles = classJson ? classJson.mavenFiles : this.version.mavenFiles
+    if (mavenFiles) {
+      await this.downloadToDirectory(libraryDirectory, mavenFiles, 'classes-maven-custom')
+    }
     if (classJson) {
-      if (classJson.mavenFiles) {
-        await this.downloadToDirectory(libraryDirectory, classJson.mavenFiles, 'classes-maven-custom')
+      const customLibs = classJson.libraries.filter(lib => this.checkRules(lib.rules))
+      libs = (await this.downloadToDirectory(libraryDirectory, customLibs, 'classes-custom'))
+    }
+
+    libs = libs.concat((await this.downloadToDirectory(libraryDirectory, this.getClassLibraries(), 'classes')))
+    this.counter = 0
+
+    this.client.emit('debug', '[MCLC]: Collected class paths')
+    return libs
+  }
+
+  getClassLibraries () {
+    // Merged versions can also hold libraries that only have a name and a url.
+    return this.version.libraries.filter(lib => {
+      if (!this.checkRules(lib.rules)) return false
+      return lib.downloads ? Boolean(lib.downloads.artifact) : !lib.natives
+    })
+  }
+
+  // Every file the version needs with the hashes the JSONs give for it, classJson is a custom JSON that isn't merged.
+  // forge is the version.json of a universal jar, its libraries are checked along with the version's.
+  getVersionFiles (classJson, jarPath, forge) {
+    const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+    const assetDirectory = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
+    const files = []
+
+    // Only the vanilla jar has a known hash, custom jars are just checked for being there.
+    const vanillaJar = path.join(this.options.directory, `${this.options.version.number}.jar`)
+    const client = this.version.downloads && (!jarPath || jarPath === vanillaJar) ? this.version.downloads.client : {}
+    files.push({ type: 'version-jar', path: jarPath || vanillaJar, ...client })
+
+    const mavenFiles = classJson ? classJson.mavenFiles : this.version.mavenFiles
+    const libraries = (mavenFiles || [])
+      .concat(classJson ? classJson.libraries.filter(lib => this.checkRules(lib.rules)) : [])
+      .concat(this.getClassLibraries())
+      .concat(forge ? this.getForgeLibraries(forge) : [])
+    for (const library of libraries) {
+      const { jarPath, name } = this.getLibraryPath(libraryDirectory, library)
+      const artifact = library.downloads && library.downloads.artifact
+      const lib = library.name.split(':')
+      const file = artifact || {
+        url: library.url ? `${library.url}${lib[0].replace(/\./g, '/')}/${lib[1]}/${lib[2]}/${name}` : undefined,
+        sha1: library.sha1,
+        size: library.size
+      }
+      files.push({ type: 'classes', ...file, path: path.join(jarPath, name) })
+    }
+
+    for (const native of this.getNativeLibraries()) {
+      files.push({ type: 'natives', ...native, path: path.join(libraryDirectory, native.path) })
+    }
+
+    if (this.version.logging && this.version.logging.client && this.version.logging.client.file) {
+      files.push({ type: 'log-config', ...this.version.logging.client.file, path: this.getLoggingPath() })
+    }
+
+    const indexPath = path.join(assetDirectory, 'indexes', `${this.version.assetIndex.id}.json`)
+    files.push({ type: 'asset-json', path: indexPath, ...this.version.assetIndex })
+    if (fs.existsSync(indexPath)) {
+      const index = JSON.parse(fs.readFileSync(indexPath, { encoding: 'utf8' }))
+      for (const asset of Object.keys(index.objects)) {
+        const { hash, size } = index.objects[asset]
+        files.push({
+          type: 'assets',
+          path: path.join(assetDirectory, 'objects', hash.substring(0, 2), hash),
+          url: `${this.options.overrides.url.resource}/${hash.substring(0, 2)}/${hash}`,
+          sha1: hash,
+          size
+        })
       }
-      libs = (await this.downloadToDirectory(libraryDirectory, classJson.libraries, 'classes-custom'))
     }
 
-    const parsed = this.version.libraries.map(lib => {
-      if (lib.downloads.artifact && !this.parseRule(lib)) return lib
+    return files
+  }
+
+  // Resolves the files that are missing or don't match their size and sha1, each one is also emitted as a verify event.
+  async checkFiles (files) {
+    const problems = []
+    const checked = new Set()
+
+    this.client.emit('progress', {
+      type: 'verify',
+      task: 0,
+      total: files.length
     })
 
-    libs = libs.concat((await this.downloadToDirectory(libraryDirectory, parsed, 'classes')))
-    counter = 0
+    for (const [task, file] of files.entries()) {
+      if (checked.has(file.path)) continue
+      checked.add(file.path)
+
+      let reason = null
+      if (!fs.existsSync(file.path)) {
+        reason = 'missing'
+      } else if (file.size && fs.statSync(file.path).size !== file.size) {
+        reason = 'corrupt'
+      } else if (file.sha1 && await this.downloader.hash(file.path) !== file.sha1) {
+        reason = 'corrupt'
+      }
 
-    this.client.emit('debug', '[MCLC]: Collected class paths')
-    return libs
+      if (reason) {
+        problems.push({ ...file, reason })
+        this.client.emit('verify', { ...file, reason })
+      }
+      this.client.emit('progress', {
+        type: 'verify',
+        task: task + 1,
+        total: files.length
+      })
+    }
+    return problems
   }
 
   popString (path) {
@@ -477,16 +757,21 @@ class Handler {
 
     let args = type.minecraftArguments
       ? type.minecraftArguments.split(' ')
-      : type.arguments.game
+      : this.parseArguments(type.arguments.game)
     const assetRoot = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
-    const assetPath = this.isLegacy()
-      ? path.join(assetRoot, 'legacy')
-      : path.join(assetRoot)
+    const assetPath = this.getVirtualAssetDirectory() || assetRoot
 
     const minArgs = this.options.overrides.minArgs || this.isLegacy() ? 5 : 11
-    if (args.length < minArgs) args = args.concat(this.version.minecraftArguments ? this.version.minecraftArguments.split(' ') : this.version.arguments.game)
+    if (args.length < minArgs) args = args.concat(this.version.minecraftArguments ? this.version.minecraftArguments.split(' ') : this.parseArguments(this.version.arguments.game))
+
+    const quickPlay = this.checkQuickPlay()
+    const legacyServer = quickPlay && !this.supportsQuickPlay(modification)
+    if (legacyServer && quickPlay.type !== 'multiplayer') {
+      throw new Error(`Minecraft ${this.options.version.number} doesn't support quick play ${quickPlay.type}, only multiplayer`)
+    }
 
-    this.options.authorization = await Promise.resolve(this.options.authorization)
+    // Installing doesn't need an account, the auth placeholders are left as they are then.
+    this.options.authorization = await Promise.resolve(this.options.authorization) || {}
 
     const fields = {
       '${auth_access_token}': this.options.authorization.access_token,
@@ -494,28 +779,36 @@ class Handler {
       '${auth_player_name}': this.options.authorization.name,
       '${auth_uuid}': this.options.authorization.uuid,
       '${user_properties}': this.options.authorization.user_properties,
-      '${user_type}': 'mojang',
+      '${user_type}': this.options.authorization.user_type || 'mojang',
+      '${auth_xuid}': this.options.authorization.xuid,
       '${version_name}': this.options.version.number,
       '${assets_index_name}': this.version.assetIndex.id,
-      '${game_directory}': this.options.root,
-      '${assets_root}': assetPath,
+      '${game_directory}': this.options.gameDirectory,
+      '${assets_root}': assetRoot,
       '${game_assets}': assetPath,
-      '${version_type}': this.options.version.type
+      '${version_type}': this.options.version.type,
+      '${resolution_width}': this.options.window ? this.options.window.width : null,
+      '${resolution_height}': this.options.window ? this.options.window.height : null,
+      '${quickPlayPath}': quickPlay && quickPlay.path ? path.resolve(this.options.gameDirectory, quickPlay.path) : null,
+      '${quickPlaySingleplayer}': quickPlay && quickPlay.type === 'singleplayer' ? quickPlay.identifier : null,
+      '${quickPlayMultiplayer}': quickPlay && quickPlay.type === 'multiplayer' ? quickPlay.identifier : null,
+      '${quickPlayRealms}': quickPlay && quickPlay.type === 'realms' ? quickPlay.identifier : null,
+      ...this.getCustomFields()
     }
 
-    for (let index = 0; index < args.length; index++) {
-      if (typeof args[index] === 'object') args.splice(index, 2)
-      if (Object.keys(fields).includes(args[index])) {
-        args[index] = fields[args[index]]
-      }
-    }
+    args = args.map(arg => this.formatArgument(arg, fields))
 
     if (this.options.window) {
-      this.options.window.fullscreen
-        ? args.push('--fullscreen')
-        : args.push('--width', this.options.window.width, '--height', this.options.window.height)
+      if (this.options.window.fullscreen) {
+        args.push('--fullscreen')
+      } else if (!args.includes('--width')) {
+        args.push('--width', this.options.window.width, '--height', this.options.window.height)
+      }
+    }
+    if (legacyServer) {
+      const [, host, port] = quickPlay.identifier.match(/^(.+?)(?::(\d+))?$/)
+      args.push('--server', host, '--port', port || '25565')
     }
-    if (this.options.server) args.push('--server', this.options.server.host, '--port', this.options.server.port || '25565')
     if (this.options.proxy) {
       args.push(
         '--proxyHost',
@@ -533,6 +826,65 @@ class Handler {
     return args
   }
 
+  async getJVMArguments (modification, classPath, nativePath) {
+    // A custom JSON that inherits vanilla only carries its own additions, a standalone one replaces them.
+    const files = (modification && !modification.inheritsFrom ? [modification] : [this.version, modification])
+      .filter(file => file && file.arguments && file.arguments.jvm)
+    const libraryDirectory = path.resolve(this.options.overrides.libraryRoot || path.join(this.options.root, 'libraries'))
+
+    const fields = {
+      '${natives_directory}': nativePath,
+      '${launcher_name}': 'minecraft-launcher-core',
+      '${launcher_version}': this.client.mclcVersion || 'unknown',
+      '${classpath}': classPath,
+      '${classpath_separator}': this.getOS() === 'windows' ? ';' : ':',
+      '${library_directory}': libraryDirectory,
+      '${version_name}': this.options.version.number,
+      ...this.getCustomFields()
+    }
+
+    const jvm = files.reduce((args, file) => args.concat(this.parseArguments(file.arguments.jvm)), [])
+    // Versions before 1.13 have no JVM arguments, a custom JSON inheriting one of them only adds its own to the defaults.
+    if (jvm.some(arg => typeof arg === 'string' && arg.includes('${classpath}'))) return jvm.map(arg => this.formatArgument(arg, fields))
+
+    this.client.emit('debug', '[MCLC]: No JVM arguments in version file, using defaults')
+    const defaults = [
+      '-XX:-UseAdaptiveSizePolicy',
+      '-XX:-OmitStackTraceInFastThrow',
+      '-Dfml.ignorePatchDiscrepancies=true',
+      '-Dfml.ignoreInvalidMinecraftCertificates=true',
+      `-Djava.library.path=${nativePath}`
+    ]
+    if (this.getOS() !== 'osx' || parseInt(this.version.id.split('.')[1]) > 12) defaults.push(await this.getJVM())
+    return defaults.concat(jvm.map(arg => this.formatArgument(arg, fields)), '-cp', classPath)
+  }
+
+  // authlib-injector redirects the game's auth, skin and join requests to a custom Yggdrasil server.
+  async getAuthlibInjectorArguments () {
+    const { jar, server } = this.options.authlibInjector
+    const args = [`-javaagent:${path.resolve(jar)}=${server}`]
+    try {
+      // Prefetching the metadata saves authlib-injector from getting it itself while the game starts.
+      const metadata = await this.fetchJSON(server)
+      args.push(`-Dauthlibinjector.yggdrasil.prefetched=${Buffer.from(JSON.stringify(metadata)).toString('base64')}`)
+    } catch (e) {
+      this.client.emit('debug', `[MCLC]: Couldn't prefetch authlib-injector metadata from ${server} due to: ${e.message}`)
+    }
+    return args
+  }
+
+  // Placeholders can sit anywhere in a token, unknown ones are left as they are like the official launcher does.
+  formatArgument (arg, fields) {
+    if (typeof arg !== 'string') return arg
+    if (arg in fields && fields[arg] != null) return fields[arg]
+    return arg.replace(/\$\{\w+\}/g, field => fields[field] != null ? fields[field] : field)
+  }
+
+  getCustomFields () {
+    const variables = this.options.overrides.variables || {}
+    return Object.keys(variables).reduce((fields, key) => ({ ...fields, [`\${${key}}`]: variables[key] }), {})
+  }
+
   async getJVM () {
     const opts = {
       windows: '-XX:HeapDumpPath=MojangTricksIntelDriversForPerformance_javaw.exe_minecraft.exe.heapdump',
@@ -542,10 +894,78 @@ class Handler {
     return opts[this.getOS()]
   }
 
+  // Versions before 1.7.3 read assets by name instead of by hash, from assets/virtual/<id> or, before 1.6, from
+  // resources in the game directory. Returns null for versions that read the objects directly.
+  getVirtualAssetDirectory (index) {
+    if (!index) {
+      const assetDirectory = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
+      const indexPath = path.join(assetDirectory, 'indexes', `${this.version.assetIndex.id}.json`)
+      if (!fs.existsSync(indexPath)) return null
+      index = JSON.parse(fs.readFileSync(indexPath, { encoding: 'utf8' }))
+    }
+
+    if (index.map_to_resources) return path.join(this.options.gameDirectory, 'resources')
+    if (index.virtual) {
+      const assetDirectory = path.resolve(this.options.overrides.assetRoot || path.join(this.options.root, 'assets'))
+      return path.join(assetDirectory, 'virtual', this.version.assetIndex.id)
+    }
+    return null
+  }
+
+  // Hard links keep the named copies from taking up space twice, filesystems without them get a copy. Files already
+  // linked, or copies that still match the object's hash, are left alone, anything else there is replaced.
+  async linkAsset (source, target) {
+    if (!fs.existsSync(source)) return
+    if (fs.existsSync(target)) {
+      const linked = fs.statSync(target)
+      const object = fs.statSync(source)
+      if (linked.ino === object.ino && linked.dev === object.dev) return
+      if (linked.size === object.size && await this.downloader.hash(target) === path.basename(source)) return
+      fs.unlinkSync(target)
+    }
+
+    shelljs.mkdir('-p', path.dirname(target))
+    try {
+      fs.linkSync(source, target)
+    } catch (e) {
+      fs.copyFileSync(source, target)
+    }
+  }
+
   isLegacy () {
     return this.version.assets === 'legacy' || this.version.assets === 'pre-1.6'
   }
 
+  getArch () {
+    if (this.options.arch) return this.options.arch
+    switch (process.arch) {
+      case 'ia32': return 'x86'
+      case 'x64': return 'x86_64'
+      default: return process.arch
+    }
+  }
+
+  matchesArch (arch) {
+    // The official launcher matches against Java's os.arch, which names the same CPU differently per platform.
+    const aliases = {
+      x86: ['x86', 'i386', 'i686'],
+      x86_64: ['x86_64', 'amd64'],
+      arm64: ['arm64', 'aarch64'],
+      arm: ['arm', 'arm32']
+    }
+    const pattern = new RegExp(`^(?:${arch})$`)
+    return (aliases[this.getArch()] || [this.getArch()]).some(name => pattern.test(name))
+  }
+
+  getOSVersion () {
+    const release = os.release()
+    if (this.getOS() !== 'osx' || process.platform !== 'darwin') return release
+
+    // os.release() gives the Darwin kernel version on macOS, rules are written against the macOS version.
+    const darwin = parseInt(release.split('.')[0])
+    return darwin >= 20 ? `${darwin - 9}.0` : `10.${darwin - 4}`
+  }
+
   getOS () {
     if (this.options.os) {
       return this.options.os
@@ -0,0 +1,116 @@
+const fs = require('fs')
+const path = require('path')
+const shelljs = require('shelljs')
+const Client = require('./launcher')
+const Modpack = require('./modpacks')
+
+// Instances share the libraries, assets and versions in root, each one gets its own game directory in
+// root/instances/<id> with its settings stored next to it in instance.json.
+class Instances {
+  constructor (root) {
+    this.root = path.resolve(root)
+    this.directory = path.join(this.root, 'instances')
+    this.running = {}
+  }
+
+  getDirectory (id) {
+    return path.join(this.directory, id)
+  }
+
+  list () {
+    if (!fs.existsSync(this.directory)) return []
+    return fs.readdirSync(this.directory)
+      .filter(id => fs.existsSync(path.join(this.getDirectory(id), 'instance.json')))
+      .map(id => this.get(id))
+  }
+
+  get (id) {
+    const file = path.join(this.getDirectory(id), 'instance.json')
+    if (!fs.existsSync(file)) return null
+    return JSON.parse(fs.readFileSync(file, { encoding: 'utf8' }))
+  }
+
+  save (instance) {
+    shelljs.mkdir('-p', this.getDirectory(instance.id))
+    fs.writeFileSync(path.join(this.getDirectory(instance.id), 'instance.json'), JSON.stringify(instance, null, 4))
+    return instance
+  }
+
+  // options are the launch options this instance always uses, like version, memory, javaPath or customArgs.
+  create (name, options = {}, id = name.toLowerCase().replace(/[^a-z0-9_.-]+/g, '-').replace(/^-+|-+$/g, '')) {
+    if (!id) throw new Error(`Can't make an instance id out of ${name}`)
+    if (this.get(id)) throw new Error(`An instance with the id ${id} already exists`)
+
+    return this.save({ id, name, created: new Date().toISOString(), lastPlayed: null, options })
+  }
+
+  update (id, changes) {
+    const instance = this.get(id)
+    if (!instance) throw new Error(`No instance with the id ${id}`)
+
+    return this.save({
+      ...instance,
+      ...changes,
+      id,
+      options: { ...instance.options, ...changes.options }
+    })
+  }
+
+  // Makes a new instance out of a Modrinth or CurseForge modpack, options are launch options for it like memory, plus
+  // curseforgeKey, which isn't stored. Pass a modpack to listen to its events.
+  async import (file, options = {}, modpack = new Modpack(file, { ...options, root: this.root })) {
+    const { curseforgeKey, ...launchOptions } = options
+    const instance = this.create(modpack.manifest.name, launchOptions)
+
+    try {
+      const { options: packOptions, skipped } = await modpack.install(this.getDirectory(instance.id))
+      return { instance: this.update(instance.id, { options: packOptions }), skipped }
+    } catch (e) {
+      this.remove(instance.id)
+      throw e
+    }
+  }
+
+  // Deletes the instance along with its game directory, saves included.
+  remove (id) {
+    if (!this.get(id)) throw new Error(`No instance with the id ${id}`)
+    if (this.running[id]) throw new Error(`${id} is running`)
+    shelljs.rm('-rf', this.getDirectory(id))
+  }
+
+  // The instance's options with the given ones on top, pointing at the shared root and the instance's game directory.
+  getOptions (id, options = {}) {
+    const instance = this.get(id)
+    if (!instance) throw new Error(`No instance with the id ${id}`)
+
+    return {
+      ...instance.options,
+      ...options,
+      overrides: { ...instance.options.overrides, ...options.overrides },
+      root: this.root,
+      gameDirectory: this.getDirectory(id)
+    }
+  }
+
+  // Every launch gets its own client, so several instances can run at once. Pass a client to listen to its events.
+  async launch (id, options, client = new Client()) {
+    if (this.running[id]) throw new Error(`${id} is already running`)
+    const launchOptions = this.getOptions(id, options)
+
+    this.running[id] = client
+    const minecraft = await client.launch(launchOptions).catch(error => {
+      delete this.running[id]
+      throw error
+    })
+    if (!minecraft) {
+      delete this.running[id]
+      return null
+    }
+
+    minecraft.on('close', () => delete this.running[id])
+    this.update(id, { lastPlayed: new Date().toISOString() })
+    return minecraft
+  }
+}
+
+module.exports = Instances
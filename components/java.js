@@ -0,0 +1,105 @@
+const child = require('child_process')
+const fs = require('fs')
+const path = require('path')
+
+const executable = process.platform === 'win32' ? 'java.exe' : 'java'
+
+// Java 8 and older report themselves as 1.x, so 1.8.0_292 is major 8 with patch 292.
+function parseVersion (version) {
+  const parts = version.split(/[._+-]/).map(part => parseInt(part))
+  const numbers = parts[0] === 1 ? parts.slice(1) : parts
+  return {
+    version,
+    major: numbers[0],
+    minor: numbers[1] || 0,
+    patch: numbers[2] || 0
+  }
+}
+
+module.exports.parseOutput = function (output) {
+  const properties = {}
+  for (const line of output.split(/\r?\n/)) {
+    const property = line.match(/^\s+([\w.]+) = (.*)$/)
+    if (property) properties[property[1]] = property[2].trim()
+  }
+
+  const version = properties['java.version'] || (output.match(/version "(.*?)"/) || []).pop()
+  if (!version) return null
+
+  return {
+    ...parseVersion(version),
+    vendor: properties['java.vendor'] || (/openjdk/i.test(output) ? 'OpenJDK' : 'Oracle Corporation'),
+    arch: properties['os.arch'] || null,
+    is64Bit: properties['sun.arch.data.model'] ? properties['sun.arch.data.model'] === '64' : output.includes('64-Bit')
+  }
+}
+
+module.exports.check = function (java) {
+  return new Promise(resolve => {
+    // -XshowSettings gives us the vendor and arch, the properties are printed to stderr along with the version.
+    child.execFile(java, ['-XshowSettings:properties', '-version'], (error, stdout, stderr) => {
+      if (error) return resolve({ run: false, path: java, message: error })
+
+      const parsed = module.exports.parseOutput(stderr)
+      if (!parsed) return resolve({ run: false, path: java, message: new Error(`Unable to read the version of ${java}`) })
+
+      resolve({ run: true, path: java, ...parsed })
+    })
+  })
+}
+
+module.exports.find = async function (root) {
+  const candidates = []
+  const addHome = (home, source) => candidates.push({ path: path.join(home, 'bin', executable), source })
+  // Dangling symlinks are common in /usr/lib/jvm once a package is removed, entries that can't be read are skipped.
+  const isDirectory = dir => {
+    try {
+      return fs.statSync(dir).isDirectory()
+    } catch (e) {
+      return false
+    }
+  }
+  const subdirectories = directory => fs.existsSync(directory)
+    ? fs.readdirSync(directory).map(name => path.join(directory, name)).filter(isDirectory)
+    : []
+
+  if (process.env.JAVA_HOME) addHome(process.env.JAVA_HOME, 'JAVA_HOME')
+  for (const directory of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    candidates.push({ path: path.join(directory, executable), source: 'PATH' })
+  }
+
+  switch (process.platform) {
+    case 'win32':
+      for (const programFiles of [process.env.ProgramFiles, process.env['ProgramFiles(x86)']].filter(Boolean)) {
+        subdirectories(path.join(programFiles, 'Java')).forEach(home => addHome(home, 'system'))
+      }
+      break
+    case 'darwin':
+      subdirectories('/Library/Java/JavaVirtualMachines').forEach(home => addHome(path.join(home, 'Contents', 'Home'), 'system'))
+      break
+    default:
+      subdirectories('/usr/lib/jvm').forEach(home => addHome(home, 'system'))
+  }
+
+  if (root) {
+    for (const runtime of subdirectories(path.join(path.resolve(root), 'runtime'))) {
+      const bundle = path.join(runtime, 'jre.bundle', 'Contents', 'Home')
+      addHome(fs.existsSync(bundle) ? bundle : runtime, 'runtime')
+    }
+  }
+
+  // The same install is often reachable through several of these, PATH entries are usually symlinks.
+  const seen = []
+  const installs = []
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate.path)) continue
+    const real = fs.realpathSync(candidate.path)
+    if (seen.includes(real)) continue
+    seen.push(real)
+
+    const java = await module.exports.check(candidate.path)
+    if (java.run) installs.push({ ...java, source: candidate.source })
+  }
+
+  return installs
+}
@@ -1,11 +1,16 @@
 const child = require('child_process')
 const path = require('path')
 const Handler = require('./handler')
+const Game = require('./game')
+const ForgeInstaller = require('./forge')
+const Versions = require('./versions')
+const Mods = require('./mods')
 const fs = require('fs')
+const shelljs = require('shelljs')
 const EventEmitter = require('events').EventEmitter
 
 class MCLCore extends EventEmitter {
-  async launch (options) {
+  init (options) {
     this.options = options
     this.options.root = path.resolve(this.options.root)
     this.options.overrides = {
@@ -17,33 +22,79 @@ class MCLCore extends EventEmitter {
         mavenForge: 'http://files.minecraftforge.net/maven/',
         defaultRepoForge: 'https://libraries.minecraft.net/',
         fallbackMaven: 'https://search.maven.org/remotecontent?filepath=',
+        javaRuntime: 'https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871',
+        fabricMeta: 'https://meta.fabricmc.net/v2',
+        quiltMeta: 'https://meta.quiltmc.org/v3',
         ...this.options.overrides
           ? this.options.overrides.url
           : undefined
       }
     }
-    // ForgeWrapper fork that is maintained on a side repo (https://github.com/Pierce01/ForgeWrapper)
-    this.options.forgeWrapper = {
-      jar: path.join(__dirname, 'fw.jar'),
-      version: '1.4.1-mclc'
-    }
-
     this.handler = new Handler(this)
 
     if (fs.existsSync(path.join(__dirname, '..', 'package.json'))) {
-      this.emit('debug', `[MCLC]: MCLC version ${JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), { encoding: 'utf8' })).version}`)
+      this.mclcVersion = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), { encoding: 'utf8' })).version
+      this.emit('debug', `[MCLC]: MCLC version ${this.mclcVersion}`)
     } else { this.emit('debug', '[MCLC]: Package JSON not found, skipping MCLC version check.') }
-    const java = await this.handler.checkJava(this.options.javaPath || 'java')
-    if (!java.run) {
-      this.emit('debug', `[MCLC]: Couldn't start Minecraft due to: ${java.message}`)
-      this.emit('close', 1)
-      return null
-    }
-
     if (!fs.existsSync(this.options.root)) {
       this.emit('debug', '[MCLC]: Attempting to create root folder')
       fs.mkdirSync(this.options.root)
     }
+    // Libraries, assets and versions are shared in root, the game keeps its saves, mods and settings in the game directory.
+    this.options.gameDirectory = path.resolve(this.options.gameDirectory || this.options.root)
+    if (!fs.existsSync(this.options.gameDirectory)) shelljs.mkdir('-p', this.options.gameDirectory)
+
+    this.options.directory = this.options.overrides.directory || path.join(this.options.root, 'versions', this.options.version.number)
+  }
+
+  // latest, latest-release and latest-snapshot are swapped for the version they point to before anything else happens.
+  async resolveVersionAlias () {
+    if (!Versions.isAlias(this.options.version.number)) return
+    const version = await Versions.get(this.options.version.number, this.options)
+    this.emit('debug', `[MCLC]: ${this.options.version.number} is ${version.id}`)
+    this.options.version = { ...this.options.version, number: version.id, type: this.options.version.type || version.type }
+    this.options.directory = this.options.overrides.directory || path.join(this.options.root, 'versions', version.id)
+  }
+
+  async installLoader () {
+    if (!this.options.loader) return
+    this.emit('debug', `[MCLC]: Detected ${this.options.loader.type} in options, setting it up`)
+    this.options.version = { ...this.options.version, custom: await this.handler.getLoader() }
+  }
+
+  getModLoader () {
+    if (this.options.loader) return this.options.loader.type
+    if (this.options.forge) return /neoforge/i.test(this.handler.version.id) ? 'neoforge' : 'forge'
+    return null
+  }
+
+  // Runs before anything is launched so mod problems show up without waiting for the game to crash on them.
+  checkMods () {
+    const loader = this.getModLoader()
+    if (!loader) return
+
+    const problems = new Mods(this.options.gameDirectory).check(loader)
+    if (!problems.length) return
+    this.emit('debug', `[MCLC]: Found ${problems.length} problems with the installed mods`)
+    this.emit('mod-problems', problems)
+    if (this.options.checkMods) {
+      const error = new Error(`Found ${problems.length} problems with the installed mods:\n` +
+        problems.map(problem => `${problem.type}: ${problem.id}${problem.dependency ? ' needs ' + problem.dependency.id : ''}`).join('\n'))
+      error.problems = problems
+      throw error
+    }
+  }
+
+  getJarPath () {
+    return this.options.overrides.minecraftJar || (this.options.version.custom
+      ? path.join(this.options.root, 'versions', this.options.version.custom, `${this.options.version.custom}.jar`)
+      : path.join(this.options.directory, `${this.options.version.number}.jar`))
+  }
+
+  // Gets everything the version needs without starting it, launch runs this first.
+  async install (options) {
+    this.init(options)
+    await this.resolveVersionAlias()
 
     if (this.options.clientPackage) {
       this.emit('debug', `[MCLC]: Extracting client package to ${this.options.root}`)
@@ -56,17 +107,22 @@ class MCLCore extends EventEmitter {
       if (!fs.existsSync(profilePath)) { fs.writeFileSync(profilePath, JSON.stringify({}, null, 4)) }
       await this.handler.runInstaller(this.options.installer)
     }
+    await this.installLoader()
 
-    const directory = this.options.overrides.directory || path.join(this.options.root, 'versions', this.options.version.number)
-    this.options.directory = directory
+    const directory = this.options.directory
+    let versionFile = await this.handler.getVersion()
+    const mcPath = this.getJarPath()
 
-    const versionFile = await this.handler.getVersion()
-    const mcPath = this.options.overrides.minecraftJar || (this.options.version.custom
-      ? path.join(this.options.root, 'versions', this.options.version.custom, `${this.options.version.custom}.jar`)
-      : path.join(directory, `${this.options.version.number}.jar`))
-    const nativePath = await this.handler.getNatives()
+    const java = await this.handler.getJava()
+    if (!java.run) {
+      this.emit('debug', `[MCLC]: Couldn't start Minecraft due to: ${java.message}`)
+      return null
+    }
+    if (versionFile.javaVersion && java.major < versionFile.javaVersion.majorVersion) {
+      throw new Error(`Minecraft ${versionFile.id} needs Java ${versionFile.javaVersion.majorVersion} or newer, ${java.path} is Java ${java.major}`)
+    }
 
-    if (!fs.existsSync(mcPath)) {
+    if (!fs.existsSync(mcPath) && !this.options.offline) {
       this.emit('debug', '[MCLC]: Attempting to download Minecraft version jar')
       await this.handler.getJar()
     }
@@ -77,65 +133,199 @@ class MCLCore extends EventEmitter {
       this.options.forge = path.resolve(this.options.forge)
       this.emit('debug', '[MCLC]: Detected Forge in options, getting dependencies')
       forge = await this.handler.getForgeDependenciesLegacy()
-      if (forge === false) custom = await this.handler.getForgedWrapped()
+      if (forge === false) custom = await new ForgeInstaller(this.handler).install()
     }
-    if (this.options.version.custom || custom) {
-      if (!custom) this.emit('debug', '[MCLC]: Detected custom in options, setting custom version file')
-      custom = custom || JSON.parse(fs.readFileSync(path.join(this.options.root, 'versions', this.options.version.custom, `${this.options.version.custom}.json`), { encoding: 'utf8' }))
+    custom = await this.getCustomVersion(custom)
+    if (!custom) versionFile = this.handler.version
+
+    if (this.options.offline) {
+      this.emit('debug', '[MCLC]: Checking local files for offline launch')
+      const problems = await this.handler.checkFiles(this.handler.getVersionFiles(custom, fs.existsSync(mcPath) ? mcPath : null, forge && forge.forge))
+      if (problems.length) {
+        const error = new Error(`Can't launch offline, ${problems.length} files are missing or corrupt:\n` +
+          problems.map(file => `${file.path} (${file.reason})`).join('\n'))
+        error.files = problems
+        throw error
+      }
     }
 
-    const args = []
+    this.checkMods()
+    // Fails before the assets are downloaded when the quick play world doesn't exist.
+    this.handler.checkQuickPlay()
 
-    let jvm = [
-      '-XX:-UseAdaptiveSizePolicy',
-      '-XX:-OmitStackTraceInFastThrow',
-      '-Dfml.ignorePatchDiscrepancies=true',
-      '-Dfml.ignoreInvalidMinecraftCertificates=true',
-      `-Djava.library.path=${nativePath}`,
-      `-Xmx${this.options.memory.max}M`,
-      `-Xms${this.options.memory.min}M`
-    ]
-    if (this.handler.getOS() === 'osx') {
-      if (parseInt(versionFile.id.split('.')[1]) > 12) jvm.push(await this.handler.getJVM())
-    } else jvm.push(await this.handler.getJVM())
+    const nativePath = await this.handler.getNatives()
 
-    if (this.options.customArgs) jvm = jvm.concat(this.options.customArgs)
+    const args = []
 
     const classes = this.options.overrides.classes || this.handler.cleanUp(await this.handler.getClasses(custom))
-    const classPaths = ['-cp']
     const separator = this.handler.getOS() === 'windows' ? ';' : ':'
     this.emit('debug', `[MCLC]: Using ${separator} to separate class paths`)
+    let classPaths
+    let mainClass
     if (forge) {
       this.emit('debug', '[MCLC]: Setting Forge class paths')
-      classPaths.push(`${path.resolve(this.options.forge)}${separator}${forge.paths.join(separator)}${separator}${classes.join(separator)}${separator}${mcPath}`)
-      classPaths.push(forge.forge.mainClass)
+      classPaths = [path.resolve(this.options.forge)].concat(forge.paths, classes, mcPath)
+      mainClass = forge.forge.mainClass
     } else {
       const file = custom || versionFile
       // So mods like fabric work.
       const jar = fs.existsSync(mcPath)
-        ? `${separator}${mcPath}`
-        : `${separator}${path.join(directory, `${this.options.version.number}.jar`)}`
-      classPaths.push(`${classes.join(separator)}${jar}`)
-      classPaths.push(file.mainClass)
+        ? mcPath
+        : path.join(directory, `${this.options.version.number}.jar`)
+      classPaths = classes.concat(jar)
+      mainClass = file.mainClass
     }
 
+    let jvm = [
+      `-Xmx${this.options.memory.max}M`,
+      `-Xms${this.options.memory.min}M`
+    ].concat(await this.handler.getJVMArguments(custom, classPaths.join(separator), nativePath))
+
+    jvm = jvm.concat(await this.handler.getLogging())
+    if (this.options.authlibInjector) jvm = jvm.concat(await this.handler.getAuthlibInjectorArguments())
+    if (this.options.customArgs) jvm = jvm.concat(this.options.customArgs)
+
     this.emit('debug', '[MCLC]: Attempting to download assets')
     await this.handler.getAssets()
 
+    const failed = this.handler.downloader.summary()
+    if (failed.length) {
+      this.emit('debug', `[MCLC]: ${failed.length} downloads failed:\n${failed.map(file => `${file.url} (${file.reason})`).join('\n')}`)
+    }
+    this.emit('download-summary', { failed })
+
     // Forge -> Custom -> Vanilla
     const modification = forge ? forge.forge : null || custom ? custom : null
     const launchOptions = await this.handler.getLaunchOptions(modification)
 
-    const launchArguments = args.concat(jvm, classPaths, launchOptions)
+    const launchArguments = args.concat(jvm, mainClass, launchOptions)
     this.emit('arguments', launchArguments)
-    this.emit('debug', `[MCLC]: Launching with arguments ${launchArguments.join(' ')}`)
 
-    const minecraft = child.spawn(this.options.javaPath ? this.options.javaPath : 'java', launchArguments,
-      { cwd: this.options.overrides.cwd || this.options.root, detached: this.options.overrides.detached })
+    return {
+      version: versionFile.id,
+      java,
+      javaPath: this.handler.javaPath,
+      nativePath,
+      classPaths,
+      mainClass,
+      arguments: launchArguments,
+      failed
+    }
+  }
+
+  // Reads the custom version JSON, a custom one that inherits is merged into the handler's version and null is returned.
+  async getCustomVersion (custom) {
+    if (this.options.version.custom || custom) {
+      if (!custom) this.emit('debug', '[MCLC]: Detected custom in options, setting custom version file')
+      custom = custom || JSON.parse(fs.readFileSync(path.join(this.options.root, 'versions', this.options.version.custom, `${this.options.version.custom}.json`), { encoding: 'utf8' }))
+    }
+    if (custom && custom.inheritsFrom) {
+      this.emit('debug', `[MCLC]: Resolving ${custom.id || 'custom version'} inheriting from ${custom.inheritsFrom}`)
+      this.handler.version = await this.handler.resolveVersion(custom)
+      return null
+    }
+    return custom
+  }
+
+  // Checks the installed files of a version against the hashes and sizes in its JSONs without downloading any of them.
+  async verify (options) {
+    this.init(options)
+    await this.resolveVersionAlias()
+    await this.installLoader()
+    await this.handler.getVersion()
+
+    // Forge installers are only read and universal jars only checked if they were used before, either would download otherwise.
+    let forge = null
+    let universal = null
+    if (this.options.forge) {
+      this.options.forge = path.resolve(this.options.forge)
+      const forgeJson = path.join(this.options.root, 'forge', this.handler.version.id, 'version.json')
+      if (ForgeInstaller.isInstaller(this.options.forge)) forge = new ForgeInstaller(this.handler).getVersion()
+      else if (fs.existsSync(forgeJson)) universal = JSON.parse(fs.readFileSync(forgeJson, { encoding: 'utf8' }))
+    }
+    const custom = await this.getCustomVersion(forge)
+
+    const mcPath = this.getJarPath()
+    this.emit('debug', '[MCLC]: Verifying installed files')
+    const problems = await this.handler.checkFiles(this.handler.getVersionFiles(custom, fs.existsSync(mcPath) ? mcPath : null, universal))
+    this.emit('debug', `[MCLC]: Found ${problems.length} missing or corrupt files`)
+
+    return problems
+  }
+
+  // Verifies the version and downloads again only the files that are missing or corrupt.
+  async repair (options) {
+    let problems = await this.verify(options)
+    const repaired = []
+    const failed = []
+
+    // A repaired asset index can list assets that weren't checked yet, so that takes a second pass.
+    for (let pass = 0; pass < 2 && problems.length; pass++) {
+      for (const file of problems) {
+        if (!file.url) {
+          failed.push(file)
+          continue
+        }
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path)
+        const download = await this.handler.downloadAsync(file.url, path.dirname(file.path), path.basename(file.path), true, file.type, file)
+        download ? repaired.push(file) : failed.push(file)
+        this.emit('repair', { ...file, repaired: Boolean(download) })
+      }
+
+      if (!problems.some(file => file.type === 'asset-json' && repaired.includes(file))) break
+      problems = (await this.handler.checkFiles(this.handler.getVersionFiles(null)))
+        .filter(file => file.type === 'assets')
+    }
+
+    if (repaired.some(file => file.type === 'natives')) {
+      this.emit('debug', '[MCLC]: Extracting repaired natives again')
+      const nativeDirectory = path.resolve(this.options.overrides.natives || path.join(this.options.root, 'natives', this.handler.version.id))
+      shelljs.rm('-rf', nativeDirectory)
+      await this.handler.getNatives()
+    }
+
+    this.emit('debug', `[MCLC]: Repaired ${repaired.length} files, ${failed.length} couldn't be repaired`)
+    return { repaired, failed }
+  }
+
+  async launch (options) {
+    if (options.accounts && !options.authorization && options.offline) {
+      // There's nothing to validate the tokens against, the game checks them itself if it can.
+      const account = options.accounts.get()
+      if (!account) throw new Error('No account selected')
+      this.emit('debug', '[MCLC]: Using the selected account without validating it in offline mode')
+      options = { ...options, authorization: account }
+    } else if (options.accounts && !options.authorization) {
+      this.emit('debug', '[MCLC]: Validating the selected account')
+      options = { ...options, authorization: await options.accounts.getAuthorization() }
+    }
+
+    const install = await this.install(options)
+    if (!install) {
+      this.emit('close', 1)
+      return null
+    }
+
+    this.emit('debug', `[MCLC]: Launching with arguments ${install.arguments.join(' ')}`)
+
+    const minecraft = child.spawn(install.javaPath, install.arguments,
+      { cwd: this.options.overrides.cwd || this.options.gameDirectory, detached: this.options.overrides.detached })
     minecraft.stdout.on('data', (data) => this.emit('data', data.toString('utf-8')))
     minecraft.stderr.on('data', (data) => this.emit('data', data.toString('utf-8')))
     minecraft.on('close', (code) => this.emit('close', code))
 
+    // The child process is still what launch resolves, the supervisor is reachable as client.game.
+    this.game = new Game(minecraft, this.options.gameDirectory, this.options.overrides.detached)
+    this.game.on('debug', (message) => this.emit('debug', message))
+    this.game.on('state', (state) => this.emit('state', state))
+    this.game.on('log', (entry) => this.emit('log', entry))
+    this.game.on('milestone', (milestone) => this.emit('milestone', milestone))
+    this.game.on('ready', () => this.emit('ready'))
+    this.game.on('crash', (crash) => {
+      this.emit('debug', `[MCLC]: Minecraft crashed with exit code ${crash.code}${crash.report ? ', report at ' + crash.report.file : ''}`)
+      this.emit('crash', crash)
+    })
+
     return minecraft
   }
 }
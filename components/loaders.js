@@ -0,0 +1,74 @@
+const fs = require('fs')
+const path = require('path')
+const Downloader = require('./downloader')
+
+// Fabric and Quilt have the same meta API, only their urls and the version of it differ.
+const defaults = {
+  fabric: 'https://meta.fabricmc.net/v2',
+  quilt: 'https://meta.quiltmc.org/v3'
+}
+
+function getMetaUrl (type, options = {}) {
+  if (!defaults[type]) throw new Error(`Unknown mod loader ${type}, it has to be fabric or quilt`)
+  const urls = (options.overrides && options.overrides.url) || {}
+  return urls[`${type}Meta`] || defaults[type]
+}
+
+// Loader versions are dotted numbers, betas and the like sort by their numbers too.
+function compareVersions (a, b) {
+  const partsA = a.split(/\D+/).map(Number)
+  const partsB = b.split(/\D+/).map(Number)
+  for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+    if ((partsA[index] || 0) !== (partsB[index] || 0)) return (partsA[index] || 0) - (partsB[index] || 0)
+  }
+  return 0
+}
+
+// Lists the loader versions for a game version, newest first, as { version, stable }. Quilt doesn't mark
+// stable versions, its betas are told apart by their version instead.
+module.exports.list = async function (type, gameVersion, options) {
+  const { body: versions } = await Downloader.fetchJSON(`${getMetaUrl(type, options)}/versions/loader/${encodeURIComponent(gameVersion)}`, options)
+  if (!versions.length) throw new Error(`${type} doesn't support Minecraft ${gameVersion}`)
+
+  return versions.map(({ loader }) => ({
+    version: loader.version,
+    stable: loader.stable !== undefined ? loader.stable : !/beta|pre|rc/.test(loader.version)
+  }))
+}
+
+// The profile is a version JSON inheriting from the game version, with the loader's libraries and their maven repos.
+module.exports.getProfile = async function (type, gameVersion, loaderVersion, options) {
+  const url = `${getMetaUrl(type, options)}/versions/loader/${encodeURIComponent(gameVersion)}/${encodeURIComponent(loaderVersion)}/profile/json`
+  return (await Downloader.fetchJSON(url, options)).body
+}
+
+// The loader versions whose profiles are in root/versions for a game version, newest first.
+module.exports.listInstalled = function (type, gameVersion, options) {
+  const directory = path.join(path.resolve(options.root), 'versions')
+  if (!fs.existsSync(directory)) return []
+
+  const prefix = `${type}-loader-`
+  const suffix = `-${gameVersion}`
+  return fs.readdirSync(directory)
+    .filter(id => id.startsWith(prefix) && id.endsWith(suffix) && fs.existsSync(path.join(directory, id, `${id}.json`)))
+    .map(id => id.substring(prefix.length, id.length - suffix.length))
+    .sort((a, b) => compareVersions(b, a))
+}
+
+// Without a version, or with latest, the newest stable loader is used. Offline that's the newest installed one.
+module.exports.resolveVersion = async function (type, gameVersion, loaderVersion, options) {
+  if (loaderVersion && loaderVersion !== 'latest') return loaderVersion
+
+  if (options && options.offline) {
+    const installed = module.exports.listInstalled(type, gameVersion, options)
+    if (!installed.length) throw new Error(`No ${type} loader is installed for Minecraft ${gameVersion}, it can't be downloaded in offline mode`)
+    return installed[0]
+  }
+
+  const versions = await module.exports.list(type, gameVersion, options)
+  return (versions.find(version => version.stable) || versions[0]).version
+}
+
+module.exports.getId = function (type, gameVersion, loaderVersion) {
+  return `${type}-loader-${loaderVersion}-${gameVersion}`
+}
@@ -0,0 +1,112 @@
+const EventEmitter = require('events').EventEmitter
+
+// [12:34:56] [Render thread/INFO]: message, Forge adds the logger: [12:34:56] [main/INFO] [FML]: message
+const legacyLine = /^\[(\d{2}):(\d{2}):(\d{2})\] \[(.+?)\/([A-Z]+)\](?: \[(.+?)\])?: (.*)$/
+
+// Log lines that tell how far the game got while starting.
+const milestones = {
+  'Setting user: ': 'setting-user',
+  'Sound engine started': 'sound-engine-started'
+}
+
+function unescape (text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+}
+
+function getAttribute (tag, name) {
+  const attribute = tag.match(new RegExp(`${name}="([^"]*)"`))
+  return attribute ? unescape(attribute[1]) : null
+}
+
+function getElement (event, name) {
+  const element = event.match(new RegExp(`<log4j:${name}>(?:<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|([\\s\\S]*?))</log4j:${name}>`))
+  if (!element) return null
+  return element[1] !== undefined ? element[1] : unescape(element[2])
+}
+
+// Turns the game's output into log entries. Output comes in chunks that split lines anywhere, so it's buffered until
+// a line, or a whole log4j event, is complete.
+class LogParser extends EventEmitter {
+  constructor () {
+    super()
+    this.buffer = ''
+    this.event = null
+    this.last = null
+  }
+
+  write (chunk) {
+    this.buffer += chunk.toString('utf-8')
+    const lines = this.buffer.split(/\r?\n/)
+    this.buffer = lines.pop()
+    lines.forEach(line => this.parseLine(line))
+  }
+
+  // Parses what's left once the game has exited.
+  end () {
+    if (this.buffer) this.parseLine(this.buffer)
+    if (this.event) this.parseLine('</log4j:Event>')
+    this.buffer = ''
+  }
+
+  parseLine (line) {
+    if (this.event !== null) {
+      this.event += '\n' + line
+      if (line.includes('</log4j:Event>')) {
+        const event = this.event
+        this.event = null
+        this.emitEntry(this.parseEvent(event))
+      }
+      return
+    }
+
+    if (line.trimStart().startsWith('<log4j:Event')) {
+      this.event = ''
+      return this.parseLine(line)
+    }
+
+    const legacy = line.match(legacyLine)
+    if (legacy) {
+      const timestamp = new Date()
+      timestamp.setHours(parseInt(legacy[1]), parseInt(legacy[2]), parseInt(legacy[3]), 0)
+      return this.emitEntry({ timestamp, level: legacy[5], thread: legacy[4], logger: legacy[6] || null, message: legacy[7] })
+    }
+
+    if (!line.trim()) return
+    // Stack traces and other continuations belong to the entry before them.
+    this.emitEntry({
+      timestamp: this.last ? this.last.timestamp : new Date(),
+      level: this.last ? this.last.level : 'INFO',
+      thread: this.last ? this.last.thread : null,
+      logger: this.last ? this.last.logger : null,
+      message: line
+    })
+  }
+
+  parseEvent (event) {
+    const tag = event.substring(event.indexOf('<log4j:Event'), event.indexOf('>', event.indexOf('<log4j:Event')))
+    const throwable = getElement(event, 'Throwable')
+    const message = getElement(event, 'Message') || ''
+    return {
+      timestamp: new Date(parseInt(getAttribute(tag, 'timestamp')) || Date.now()),
+      level: getAttribute(tag, 'level'),
+      thread: getAttribute(tag, 'thread'),
+      logger: getAttribute(tag, 'logger'),
+      message: throwable ? `${message}\n${throwable.trim()}` : message
+    }
+  }
+
+  emitEntry (entry) {
+    this.last = entry
+    this.emit('log', entry)
+
+    const milestone = Object.keys(milestones).find(text => entry.message.includes(text))
+    if (milestone) this.emit('milestone', { name: milestones[milestone], entry })
+  }
+}
+
+module.exports = LogParser
@@ -0,0 +1,196 @@
+const fs = require('fs')
+const path = require('path')
+const request = require('request')
+const shelljs = require('shelljs')
+const Zip = require('adm-zip')
+const EventEmitter = require('events').EventEmitter
+const Downloader = require('./downloader')
+
+// Pack files say where they go relative to the game directory, none of them may end up outside of it.
+function getSafePath (directory, file) {
+  const target = path.resolve(directory, file)
+  if (!target.startsWith(path.resolve(directory) + path.sep)) throw new Error(`${file} points outside of the game directory`)
+  return target
+}
+
+// CurseForge projects of these classes go to their own folder, everything else is a mod.
+const curseforgeClasses = {
+  12: 'resourcepacks',
+  6552: 'shaderpacks'
+}
+
+// Reads Modrinth (.mrpack) and CurseForge modpacks and installs them into a game directory, resolving the launch
+// options they need: version, and loader or forge. options are the launch options, root is where installers are kept.
+class Modpack extends EventEmitter {
+  constructor (file, options = {}) {
+    super()
+    this.file = path.resolve(file)
+    this.options = options
+    this.zip = new Zip(this.file)
+    this.urls = {
+      curseforge: 'https://api.curseforge.com',
+      mavenForge: 'https://maven.minecraftforge.net/',
+      mavenNeoForge: 'https://maven.neoforged.net/releases/',
+      ...(options.overrides && options.overrides.url)
+    }
+    this.downloader = new Downloader(this, request.defaults({
+      pool: { maxSockets: (options.overrides && options.overrides.maxSockets) || 2 },
+      timeout: options.timeout || 10000
+    }), {
+      concurrency: options.overrides && options.overrides.maxDownloads,
+      retries: options.overrides && options.overrides.downloadRetries,
+      mirrors: options.overrides && options.overrides.mirrors,
+      cache: options.overrides && options.overrides.cacheDirectory
+    })
+    this.counter = 0
+    this.manifest = this.read()
+  }
+
+  // { format, name, version, minecraft, loader: { type, version } } of the pack.
+  read () {
+    const modrinth = this.zip.getEntry('modrinth.index.json')
+    if (modrinth) {
+      const index = JSON.parse(this.zip.readAsText(modrinth))
+      const dependencies = index.dependencies
+      const loader = ['fabric-loader', 'quilt-loader', 'forge', 'neoforge'].find(type => dependencies[type])
+      return {
+        format: 'modrinth',
+        name: index.name,
+        version: index.versionId,
+        minecraft: dependencies.minecraft,
+        loader: loader ? { type: loader.replace('-loader', ''), version: dependencies[loader] } : null,
+        index
+      }
+    }
+
+    const curseforge = this.zip.getEntry('manifest.json')
+    if (curseforge) {
+      const manifest = JSON.parse(this.zip.readAsText(curseforge))
+      if (manifest.manifestType === 'minecraftModpack') {
+        // Mod loader ids look like forge-47.2.0 or fabric-0.15.0.
+        const modLoader = manifest.minecraft.modLoaders.find(loader => loader.primary) || manifest.minecraft.modLoaders[0]
+        const [type, ...version] = modLoader ? modLoader.id.split('-') : []
+        return {
+          format: 'curseforge',
+          name: manifest.name,
+          version: manifest.version,
+          minecraft: manifest.minecraft.version,
+          loader: modLoader ? { type, version: version.join('-') } : null,
+          index: manifest
+        }
+      }
+    }
+
+    throw new Error(`${this.file} is not a Modrinth or CurseForge modpack`)
+  }
+
+  // Resolves the launch options for the pack. Files CurseForge doesn't allow third parties to download are listed
+  // in skipped, users have to download those themselves.
+  async install (gameDirectory = this.options.gameDirectory || this.options.root) {
+    gameDirectory = path.resolve(gameDirectory)
+    shelljs.mkdir('-p', gameDirectory)
+    this.emit('debug', `[MCLC]: Installing ${this.manifest.name} ${this.manifest.version} to ${gameDirectory}`)
+
+    const files = this.manifest.format === 'modrinth'
+      ? this.getModrinthFiles(gameDirectory)
+      : await this.getCurseForgeFiles(gameDirectory)
+    const skipped = files.filter(file => !file.urls.length)
+    const failed = []
+
+    this.emit('progress', { type: 'modpack', task: 0, total: files.length })
+    await Promise.all(files.filter(file => file.urls.length).map(async file => {
+      let download = false
+      for (const url of file.urls) {
+        download = await this.downloader.download(url, path.dirname(file.path), path.basename(file.path), { type: 'modpack', sha1: file.sha1, size: file.size })
+        if (download) break
+      }
+      if (!download) failed.push(file)
+      this.counter++
+      this.emit('progress', { type: 'modpack', task: this.counter, total: files.length })
+    }))
+    this.counter = 0
+
+    if (failed.length) {
+      const error = new Error(`Failed to download ${failed.length} modpack files:\n${failed.map(file => file.path).join('\n')}`)
+      error.files = failed
+      throw error
+    }
+
+    // Client overrides go last, they replace the shared ones.
+    const overrides = this.manifest.format === 'modrinth' ? ['overrides', 'client-overrides'] : [this.manifest.index.overrides || 'overrides']
+    for (const directory of overrides) this.extractOverrides(directory, gameDirectory)
+
+    return { options: await this.getLaunchOptions(), skipped }
+  }
+
+  getModrinthFiles (gameDirectory) {
+    return this.manifest.index.files
+      .filter(file => !file.env || file.env.client !== 'unsupported')
+      .map(file => ({
+        path: getSafePath(gameDirectory, file.path),
+        urls: file.downloads,
+        sha1: file.hashes.sha1,
+        size: file.fileSize
+      }))
+  }
+
+  async getCurseForgeFiles (gameDirectory) {
+    const fileIds = this.manifest.index.files.map(file => file.fileID)
+    if (!fileIds.length) return []
+
+    // Files don't say what they are, their projects' classes do.
+    const headers = this.options.curseforgeKey ? { 'x-api-key': this.options.curseforgeKey } : {}
+    const [{ body: files }, { body: projects }] = await Promise.all([
+      Downloader.fetchJSON(`${this.urls.curseforge}/v1/mods/files`, this.options, { body: { fileIds }, headers }),
+      Downloader.fetchJSON(`${this.urls.curseforge}/v1/mods`, this.options, {
+        body: { modIds: this.manifest.index.files.map(file => file.projectID) },
+        headers
+      })
+    ])
+    const classes = projects.data.reduce((classes, project) => ({ ...classes, [project.id]: project.classId }), {})
+
+    return files.data.map(file => {
+      const sha1 = (file.hashes || []).find(hash => hash.algo === 1)
+      return {
+        path: getSafePath(gameDirectory, path.join(curseforgeClasses[classes[file.modId]] || 'mods', file.fileName)),
+        urls: file.downloadUrl ? [file.downloadUrl] : [],
+        sha1: sha1 ? sha1.value : undefined,
+        size: file.fileLength,
+        projectID: file.modId,
+        fileID: file.id
+      }
+    })
+  }
+
+  extractOverrides (directory, gameDirectory) {
+    const prefix = `${directory}/`
+    for (const entry of this.zip.getEntries()) {
+      if (entry.isDirectory || !entry.entryName.startsWith(prefix)) continue
+      const target = getSafePath(gameDirectory, entry.entryName.substring(prefix.length))
+      shelljs.mkdir('-p', path.dirname(target))
+      fs.writeFileSync(target, entry.getData())
+    }
+  }
+
+  // Fabric and Quilt use the loader option, Forge and NeoForge get their installer downloaded to root/forge/installers.
+  async getLaunchOptions () {
+    const { minecraft, loader } = this.manifest
+    const options = { version: { number: minecraft, type: 'release' } }
+    if (!loader) return options
+    if (loader.type === 'fabric' || loader.type === 'quilt') return { ...options, loader }
+    if (loader.type !== 'neoforge' && loader.type !== 'forge') throw new Error(`Unknown mod loader ${loader.type}`)
+
+    const url = loader.type === 'neoforge'
+      ? `${this.urls.mavenNeoForge}net/neoforged/neoforge/${loader.version}/neoforge-${loader.version}-installer.jar`
+      : `${this.urls.mavenForge}net/minecraftforge/forge/${minecraft}-${loader.version}/forge-${minecraft}-${loader.version}-installer.jar`
+
+    const directory = path.join(path.resolve(this.options.root), 'forge', 'installers')
+    const name = url.split('/').pop()
+    if (!fs.existsSync(path.join(directory, name)) && !await this.downloader.download(url, directory, name, { type: 'forge' })) {
+      throw new Error(`Failed to download the ${loader.type} ${loader.version} installer from ${url}`)
+    }
+    return { ...options, forge: path.join(directory, name) }
+  }
+}
+
+module.exports = Modpack
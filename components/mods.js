@@ -0,0 +1,284 @@
+const fs = require('fs')
+const path = require('path')
+const Zip = require('adm-zip')
+
+// Ids a loader provides itself, dependencies on them are always met.
+const builtIn = ['minecraft', 'java', 'fabricloader', 'fabric-loader', 'quilt_loader', 'forge', 'neoforge', 'fml', 'javafml', 'lowcodefml', 'mcp']
+
+// Loaders that can load mods made for another one, Quilt loads Fabric mods and NeoForge started out as Forge.
+const compatible = {
+  fabric: ['fabric'],
+  quilt: ['quilt', 'fabric'],
+  forge: ['forge'],
+  neoforge: ['neoforge', 'forge']
+}
+
+// Just enough TOML for mods.toml: tables, arrays of tables, strings, numbers, booleans and one line arrays.
+function parseTOML (text) {
+  const root = {}
+  let table = root
+  const lines = text.split(/\r?\n/)
+
+  const parseValue = (value, line) => {
+    value = value.trim()
+    for (const quote of ['"""', '\'\'\'']) {
+      if (!value.startsWith(quote)) continue
+      let content = value.substring(3)
+      while (!content.includes(quote) && line.index < lines.length - 1) content += '\n' + lines[++line.index]
+      return content.substring(0, content.indexOf(quote)).replace(/^\n/, '')
+    }
+    if (value.startsWith('"')) return JSON.parse(value.match(/^"(?:[^"\\]|\\.)*"/)[0])
+    if (value.startsWith('\'')) return value.match(/^'([^']*)'/)[1]
+    if (value.startsWith('[')) {
+      const items = value.substring(1, value.lastIndexOf(']')).match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^,\s]+/g) || []
+      return items.map(item => parseValue(item, line))
+    }
+    value = value.replace(/\s*#.*$/, '')
+    if (value === 'true' || value === 'false') return value === 'true'
+    return isNaN(Number(value)) ? value : Number(value)
+  }
+
+  const getTable = (keys, array) => {
+    let current = root
+    keys.forEach((key, index) => {
+      const last = index === keys.length - 1
+      if (last && array) {
+        current[key] = current[key] || []
+        current[key].push({})
+        current = current[key][current[key].length - 1]
+      } else {
+        current[key] = current[key] || {}
+        current = Array.isArray(current[key]) ? current[key][current[key].length - 1] : current[key]
+      }
+    })
+    return current
+  }
+
+  const line = { index: 0 }
+  for (; line.index < lines.length; line.index++) {
+    const text = lines[line.index].trim()
+    if (!text || text.startsWith('#')) continue
+
+    const header = text.match(/^(\[\[?)\s*([^\]]+?)\s*\]\]?/)
+    if (header) {
+      table = getTable(header[2].split('.').map(key => key.trim().replace(/^"|"$/g, '')), header[1] === '[[')
+      continue
+    }
+
+    const pair = text.match(/^("[^"]+"|[\w.-]+)\s*=\s*(.*)$/)
+    if (pair) table[pair[1].replace(/^"|"$/g, '')] = parseValue(pair[2], line)
+  }
+  return root
+}
+
+function readJSON (zip, name) {
+  const entry = zip.getEntry(name)
+  if (!entry) return null
+  try {
+    return JSON.parse(zip.readAsText(entry))
+  } catch (e) {
+    return null
+  }
+}
+
+// Reads the mods of a game directory's mods folder, and enables, disables and checks them.
+class Mods {
+  constructor (gameDirectory) {
+    this.directory = path.join(path.resolve(gameDirectory), 'mods')
+  }
+
+  // Every mod in every jar, with { file, enabled, id, name, version, loader, dependencies, minecraft }. Mods
+  // bundled inside another jar come with nested set. Jars without metadata have a null id and loader.
+  list () {
+    if (!fs.existsSync(this.directory)) return []
+
+    const mods = []
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!/\.(jar|zip)(\.disabled)?$/.test(file)) continue
+      const enabled = !file.endsWith('.disabled')
+
+      let found
+      try {
+        found = this.read(new Zip(path.join(this.directory, file)))
+      } catch (e) {
+        found = []
+      }
+      if (!found.length) found.push({ id: null, name: null, version: null, loader: null, loaders: [], dependencies: [], minecraft: null, provides: [] })
+      found.forEach(mod => mods.push({ file, enabled, ...mod }))
+    }
+    return mods
+  }
+
+  // Jars made for several loaders have a mod for each of their metadata files, loaders lists all of them.
+  read (zip, nested = false) {
+    const mods = [].concat(this.readFabric(zip) || [], this.readQuilt(zip) || [], this.readForge(zip) || [], this.readLegacyForge(zip) || [])
+    const loaders = mods.map(mod => mod.loader).filter((loader, index, all) => all.indexOf(loader) === index)
+    const result = mods.map(mod => ({ ...mod, loaders, nested }))
+
+    // Fabric and Quilt list their bundled jars, Forge and NeoForge keep them in jarjar's metadata.
+    const fabric = readJSON(zip, 'fabric.mod.json')
+    const quilt = readJSON(zip, 'quilt.mod.json')
+    const jarjar = readJSON(zip, 'META-INF/jarjar/metadata.json')
+    const jars = [].concat(
+      (fabric && fabric.jars) || [],
+      (quilt && quilt.quilt_loader && quilt.quilt_loader.jars) || [],
+      (jarjar && jarjar.jars) || []
+    ).map(jar => typeof jar === 'string' ? jar : jar.file || jar.path)
+
+    for (const jar of jars) {
+      const entry = zip.getEntry(jar)
+      if (!entry) continue
+      try {
+        result.push(...this.read(new Zip(entry.getData()), true))
+      } catch (e) {}
+    }
+    return result
+  }
+
+  readFabric (zip) {
+    const json = readJSON(zip, 'fabric.mod.json')
+    if (!json) return null
+
+    const dependencies = []
+    for (const [field, required] of [['depends', true], ['recommends', false]]) {
+      for (const id of Object.keys(json[field] || {})) {
+        dependencies.push({ id, versionRange: [].concat(json[field][id]).join(' || '), required })
+      }
+    }
+
+    return [{
+      id: json.id,
+      name: json.name || json.id,
+      version: json.version,
+      loader: 'fabric',
+      dependencies,
+      minecraft: json.depends && json.depends.minecraft ? [].concat(json.depends.minecraft).join(' || ') : null,
+      provides: json.provides || []
+    }]
+  }
+
+  readQuilt (zip) {
+    const json = readJSON(zip, 'quilt.mod.json')
+    if (!json || !json.quilt_loader) return null
+    const loader = json.quilt_loader
+
+    const dependencies = (loader.depends || []).map(dependency => typeof dependency === 'string'
+      ? { id: dependency, versionRange: '*', required: true }
+      : { id: dependency.id, versionRange: [].concat(dependency.versions || '*').join(' || '), required: !dependency.optional })
+    const minecraft = dependencies.find(dependency => dependency.id === 'minecraft')
+
+    return [{
+      id: loader.id,
+      name: (loader.metadata && loader.metadata.name) || loader.id,
+      version: loader.version,
+      loader: 'quilt',
+      dependencies,
+      minecraft: minecraft ? minecraft.versionRange : null,
+      provides: (loader.provides || []).map(provided => typeof provided === 'string' ? provided : provided.id)
+    }]
+  }
+
+  readForge (zip) {
+    const entry = zip.getEntry('META-INF/neoforge.mods.toml') || zip.getEntry('META-INF/mods.toml')
+    if (!entry) return null
+    const toml = parseTOML(zip.readAsText(entry))
+    const loader = entry.entryName.includes('neoforge') ? 'neoforge' : 'forge'
+
+    // ${file.jarVersion} is filled in from the jar's manifest when the mod loads.
+    const manifest = zip.getEntry('META-INF/MANIFEST.MF')
+    const jarVersion = manifest ? (zip.readAsText(manifest).match(/^Implementation-Version: (.+)$/m) || [])[1] : null
+
+    return (toml.mods || []).map(mod => {
+      const dependencies = ((toml.dependencies || {})[mod.modId] || [])
+        .filter(dependency => !dependency.side || dependency.side !== 'SERVER')
+        .map(dependency => ({
+          id: dependency.modId,
+          versionRange: dependency.versionRange || '*',
+          // NeoForge replaced mandatory with type.
+          required: dependency.type ? dependency.type === 'required' : dependency.mandatory !== false
+        }))
+      const minecraft = dependencies.find(dependency => dependency.id === 'minecraft')
+
+      return {
+        id: mod.modId,
+        name: mod.displayName || mod.modId,
+        version: mod.version === '${file.jarVersion}' ? (jarVersion ? jarVersion.trim() : null) : mod.version,
+        loader,
+        dependencies,
+        minecraft: minecraft ? minecraft.versionRange : null,
+        provides: []
+      }
+    })
+  }
+
+  readLegacyForge (zip) {
+    const json = readJSON(zip, 'mcmod.info')
+    if (!json) return null
+
+    return (Array.isArray(json) ? json : json.modList || []).map(mod => ({
+      id: mod.modid,
+      name: mod.name || mod.modid,
+      version: mod.version,
+      loader: 'forge',
+      // requiredMods entries look like modid@[1.0,)
+      dependencies: (mod.requiredMods || []).map(dependency => {
+        const [id, versionRange] = dependency.split('@')
+        return { id, versionRange: versionRange || '*', required: true }
+      }),
+      minecraft: mod.mcversion || null,
+      provides: []
+    }))
+  }
+
+  // file is the name of the jar in the mods folder, with or without .disabled.
+  enable (file) {
+    const name = file.replace(/\.disabled$/, '')
+    if (fs.existsSync(path.join(this.directory, `${name}.disabled`))) {
+      fs.renameSync(path.join(this.directory, `${name}.disabled`), path.join(this.directory, name))
+    }
+    return name
+  }
+
+  disable (file) {
+    const name = file.replace(/\.disabled$/, '')
+    if (fs.existsSync(path.join(this.directory, name))) {
+      fs.renameSync(path.join(this.directory, name), path.join(this.directory, `${name}.disabled`))
+    }
+    return `${name}.disabled`
+  }
+
+  // Lists what would keep the enabled mods from loading with the given loader: missing-dependency, duplicate
+  // and loader-mismatch problems.
+  check (loader) {
+    // A jar with metadata for several loaders is only checked as the one it's loaded as.
+    const loadedAs = mod => compatible[loader] && compatible[loader].find(type => mod.loaders.includes(type))
+    const mods = this.list().filter(mod => mod.enabled && mod.id && (!loadedAs(mod) || loadedAs(mod) === mod.loader))
+    const problems = []
+
+    const ids = new Set(builtIn)
+    mods.forEach(mod => [mod.id].concat(mod.provides).forEach(id => ids.add(id)))
+
+    const seen = {}
+    for (const mod of mods.filter(mod => !mod.nested)) {
+      if (seen[mod.id] && seen[mod.id] !== mod.file) {
+        problems.push({ type: 'duplicate', id: mod.id, files: [seen[mod.id], mod.file] })
+      }
+      seen[mod.id] = seen[mod.id] || mod.file
+
+      if (loader && compatible[loader] && !compatible[loader].includes(mod.loader)) {
+        problems.push({ type: 'loader-mismatch', id: mod.id, file: mod.file, loader: mod.loader, expected: loader })
+      }
+    }
+
+    for (const mod of mods) {
+      for (const dependency of mod.dependencies) {
+        if (dependency.required && !ids.has(dependency.id)) {
+          problems.push({ type: 'missing-dependency', id: mod.id, file: mod.file, dependency })
+        }
+      }
+    }
+    return problems
+  }
+}
+
+module.exports = Mods
@@ -0,0 +1,67 @@
+const fs = require('fs')
+const path = require('path')
+const shelljs = require('shelljs')
+const Downloader = require('./downloader')
+
+const aliases = ['latest', 'latest-release', 'latest-snapshot']
+
+// Takes the same options as launch, so the manifest comes from the same meta url and is cached in the same root.
+function getMetaUrl (options) {
+  return (options.overrides && options.overrides.url && options.overrides.url.meta) || 'https://launchermeta.mojang.com'
+}
+
+function getCachePath (options) {
+  return path.join(path.resolve(options.root), 'cache', 'version_manifest_v2.json')
+}
+
+module.exports.isAlias = function (id) {
+  return aliases.includes(id)
+}
+
+// The manifest is kept in root/cache and only asked for again once it's older than overrides.manifestTtl (10 minutes
+// by default), with its ETag so an unchanged one isn't downloaded again. A stale copy is used when the request fails.
+module.exports.getManifest = async function (options) {
+  const cachePath = getCachePath(options)
+  const ttl = options.overrides && options.overrides.manifestTtl !== undefined ? options.overrides.manifestTtl : 600000
+  const cache = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, { encoding: 'utf8' })) : null
+
+  if (cache && (options.offline || Date.now() - cache.fetched < ttl)) return cache.manifest
+  if (options.offline) throw new Error('The version manifest isn\'t cached, it can\'t be downloaded in offline mode')
+
+  let response
+  try {
+    response = await Downloader.fetchJSON(`${getMetaUrl(options)}/mc/game/version_manifest_v2.json`, options, {
+      headers: cache && cache.etag ? { 'If-None-Match': cache.etag } : {},
+      statusCodes: cache ? [304] : []
+    })
+  } catch (error) {
+    if (cache) return cache.manifest
+    throw error
+  }
+
+  const updated = response.statusCode === 304
+    ? { ...cache, fetched: Date.now() }
+    : { etag: response.headers.etag || null, fetched: Date.now(), manifest: response.body }
+  shelljs.mkdir('-p', path.dirname(cachePath))
+  fs.writeFileSync(cachePath, JSON.stringify(updated))
+  return updated.manifest
+}
+
+// type can be one of release, snapshot, old_beta and old_alpha, or an array of them. Newest versions come first.
+module.exports.list = async function (options, type) {
+  const manifest = await module.exports.getManifest(options)
+  const types = type ? [].concat(type) : null
+  return manifest.versions.filter(version => !types || types.includes(version.type))
+}
+
+// Resolves the manifest entry of a version, latest and latest-release give the newest release, latest-snapshot the newest snapshot.
+module.exports.get = async function (id, options) {
+  const manifest = await module.exports.getManifest(options)
+  const versionId = module.exports.isAlias(id)
+    ? manifest.latest[id === 'latest-snapshot' ? 'snapshot' : 'release']
+    : id
+
+  const version = manifest.versions.find(version => version.id === versionId)
+  if (!version) throw new Error(`Version ${id} was not found in the version manifest`)
+  return version
+}
@@ -1,4 +1,11 @@
 module.exports = {
   Client: require('./components/launcher'),
-  Authenticator: require('./components/authenticator')
+  Authenticator: require('./components/authenticator'),
+  Accounts: require('./components/accounts'),
+  Instances: require('./components/instances'),
+  Java: require('./components/java'),
+  Loaders: require('./components/loaders'),
+  Modpack: require('./components/modpacks'),
+  Mods: require('./components/mods'),
+  Versions: require('./components/versions')
 }